@@ -0,0 +1,77 @@
+// Builds the embeddable widget: src/widget.js bundled as build-widget/pdf-chatbot.js,
+// which defines window.PDFChatbot. It reuses the app's webpack config with
+// styles kept in the script so they can be put into the widget's shadow root.
+// Code that is loaded on demand (PDF viewer, diagrams, markdown worker) stays
+// in separate files next to the script.
+
+process.env.BABEL_ENV = 'production';
+process.env.NODE_ENV = 'production';
+
+require('react-scripts/config/env');
+
+const fs = require('fs');
+const path = require('path');
+const webpack = require('webpack');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const configFactory = require('react-scripts/config/webpack.config');
+
+const outputPath = path.resolve(__dirname, '../build-widget');
+
+// Plugins that only make sense for the app's index.html
+const APP_ONLY_PLUGINS = [
+  'HtmlWebpackPlugin',
+  'InlineChunkHtmlPlugin',
+  'InterpolateHtmlPlugin',
+  'MiniCssExtractPlugin',
+  'WebpackManifestPlugin',
+  'InjectManifest'
+];
+
+// Runs in the browser as style-loader's `insert`, so it can't use anything
+// from this file. widget.js copies the collected styles into each shadow root.
+function collectStyle(element) {
+  window.__pdfChatbotStyles = window.__pdfChatbotStyles || [];
+  window.__pdfChatbotStyles.push(element);
+}
+
+const styleLoader = {
+  loader: require.resolve('style-loader'),
+  options: { insert: collectStyle }
+};
+
+const replaceCssExtraction = (rules) => rules.forEach(rule => {
+  if (rule.oneOf) replaceCssExtraction(rule.oneOf);
+  if (Array.isArray(rule.use)) {
+    rule.use = rule.use.map(use => (use && use.loader === MiniCssExtractPlugin.loader ? styleLoader : use));
+  }
+});
+
+const config = configFactory('production');
+config.entry = path.resolve(__dirname, '../src/widget.js');
+config.output = {
+  ...config.output,
+  path: outputPath,
+  filename: 'pdf-chatbot.js',
+  chunkFilename: 'pdf-chatbot.[name].[contenthash:8].js',
+  // Chunks and fonts are loaded from wherever the script is hosted
+  publicPath: 'auto',
+  library: { name: 'PDFChatbot', type: 'umd' }
+};
+config.cache = { ...config.cache, name: 'widget-production' };
+config.plugins = config.plugins.filter(plugin => !APP_ONLY_PLUGINS.includes(plugin.constructor.name));
+replaceCssExtraction(config.module.rules);
+
+fs.rmSync(outputPath, { recursive: true, force: true });
+
+console.log('Creating the widget build...');
+webpack(config, (error, stats) => {
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+  if (stats.hasErrors()) {
+    console.error(stats.toString({ all: false, errors: true }));
+    process.exit(1);
+  }
+  console.log(`Widget written to ${path.relative(process.cwd(), path.join(outputPath, 'pdf-chatbot.js'))}`);
+});
@@ -0,0 +1,802 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { FileText, Loader, Plus, ArrowUp, AlertCircle, Upload, X, AtSign, Square, Columns, Slash, Pencil, BookmarkPlus } from 'lucide-react';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import { useChatbot } from './chatbotStore';
+import { ACCEPTED_FILE_TYPES } from './sourceTypes';
+import { formatCost } from './usageStats';
+import { extractPlaceholders, fillTemplate, listSlashCommands, matchSlashCommands, parseSlashQuery } from './slashCommands';
+import KnowledgeModeSelector from './KnowledgeModeSelector';
+import MessageRenderer from './MessageRenderer';
+import PromptTemplateEditor from './PromptTemplateEditor';
+import SourceIcon from './SourceIcon';
+
+// Typewriter Hook
+function useTypewriter(text, speed = 30, trigger) {
+  const [displayedText, setDisplayedText] = useState('');
+  const [isTyping, setIsTyping] = useState(true);
+
+  useEffect(() => {
+    setDisplayedText('');
+    setIsTyping(true);
+    let index = 0;
+
+    const interval = setInterval(() => {
+      if (index < text.length) {
+        setDisplayedText(text.slice(0, index + 1));
+        index++;
+      } else {
+        setIsTyping(false);
+        clearInterval(interval);
+      }
+    }, speed);
+
+    return () => clearInterval(interval);
+  }, [text, speed, trigger]);
+
+  return { displayedText, isTyping };
+}
+
+
+// Greeting shown before the first question, with starter questions once
+// document summaries suggest some. The typewriter only re-renders this.
+function EmptyState({ modeName, typingTrigger, starterQuestions, isLoading, onAsk }) {
+  const titleText = "Ready to chat with your PDFs";
+  const descriptionText = `Upload some documents and ask questions. I'll help you find information using ${modeName} mode.`;
+
+  const { displayedText: displayedTitle, isTyping: isTitleTyping } = useTypewriter(titleText, 40, typingTrigger);
+  const { displayedText: displayedDescription } = useTypewriter(
+    descriptionText, 
+    20, 
+    isTitleTyping ? -1 : typingTrigger
+  );
+
+  return (
+    <div className="text-center flex items-center justify-center h-full" style={{ minHeight: 'calc(100vh - 200px)' }}>
+      <div className="bg-transparent rounded-3xl p-12">
+        <div className="inline-block p-6 bg-neutral-800/60 rounded-full mb-6 border border-neutral-700/50">
+          <FileText className="w-16 h-16 text-neutral-200" />
+        </div>
+        {starterQuestions.length > 0 ? (
+          <>
+            <h2 className="text-3xl font-bold text-white mb-6">What would you like to know?</h2>
+            <div className="grid sm:grid-cols-2 gap-3 max-w-2xl mx-auto">
+              {starterQuestions.map(question => (
+                <button
+                  key={question}
+                  onClick={() => onAsk(question)}
+                  disabled={isLoading}
+                  className="text-left p-4 bg-neutral-800/60 border border-neutral-700/50 rounded-2xl text-sm text-neutral-200 hover:bg-neutral-700/60 hover:border-neutral-600 transition-colors disabled:opacity-50"
+                >
+                  {question}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <>
+            <h2 className="text-3xl font-bold text-white mb-3">
+              {displayedTitle}
+              {isTitleTyping && <span className="typing-cursor" />}
+            </h2>
+            <p className="text-neutral-300 max-w-md mx-auto text-lg">
+              {!isTitleTyping && displayedDescription}
+              {!isTitleTyping && displayedDescription.length < descriptionText.length && <span className="typing-cursor" />}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Asks for the {{placeholders}} of a prompt template above the question box
+function TemplateForm({ template, onInsert, onCancel }) {
+  const placeholders = useMemo(() => extractPlaceholders(template.text), [template]);
+  const [values, setValues] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onInsert(fillTemplate(template.text, values));
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+      className="mb-2 p-3 rounded-2xl bg-neutral-800 border border-neutral-700 space-y-2"
+    >
+      <div className="flex items-center gap-2 text-xs text-neutral-400">
+        <span className="font-mono text-neutral-200">/{template.name}</span>
+        <span className="flex-1 truncate">{template.description}</span>
+      </div>
+      {placeholders.map((name, index) => (
+        <label key={name} className="flex items-center gap-2 text-xs text-neutral-400">
+          <span className="w-32 flex-shrink-0 truncate">{name}</span>
+          <input
+            type="text"
+            required
+            autoFocus={index === 0}
+            value={values[name] || ''}
+            onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+            className="flex-1 bg-neutral-900 border border-neutral-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-neutral-500"
+          />
+        </label>
+      ))}
+      <div className="flex justify-end gap-2 text-xs">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-neutral-200 text-neutral-900 rounded-lg hover:bg-neutral-100 transition-colors font-medium"
+        >
+          Insert prompt
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * The conversation and the question box: messages, the empty state with
+ * starter questions, the mode menu, @-mentions of documents, /-commands
+ * with prompt templates and the document scope.
+ *
+ * Props:
+ * - `className`: classes for the panel, e.g. to size it inside a layout
+ */
+export default function ChatPanel({ className = 'h-full' }) {
+  const {
+    thread,
+    messages,
+    documents,
+    scopedDocuments,
+    documentScope,
+    setDocumentScope,
+    toggleDocumentScope,
+    addDocumentToScope,
+    knowledgeModes,
+    knowledgeMode,
+    selectMode,
+    compareModes,
+    toggleCompareMode,
+    isLoading,
+    isStreaming,
+    error,
+    setError,
+    typingTrigger,
+    starterQuestions,
+    budgetWarning,
+    setBudgetWarning,
+    usageSettings,
+    activeCitation,
+    promptTemplates,
+    savePromptTemplate,
+    deletePromptTemplate,
+    uploadFiles,
+    newConversation,
+    sendQuestion,
+    stop,
+    contained
+  } = useChatbot();
+
+  const [inputMessage, setInputMessage] = useState('');
+  const [showModeMenu, setShowModeMenu] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [slash, setSlash] = useState(null);
+  // Template whose placeholders are being filled in
+  const [fillingTemplate, setFillingTemplate] = useState(null);
+  // { id, template } of the template being edited; a new one has no id
+  const [editingTemplate, setEditingTemplate] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const messagesEndRef = useRef(null);
+  const messageListRef = useRef(null);
+  const modeMenuRef = useRef(null);
+
+  const mentionSuggestions = useMemo(() => {
+    if (!mention) return [];
+    const query = mention.query.toLowerCase();
+    return documents
+      .filter(doc => doc.pdf_name.toLowerCase().includes(query))
+      .slice(0, 8);
+  }, [documents, mention]);
+
+  const slashCommands = useMemo(
+    () => listSlashCommands(knowledgeModes, promptTemplates),
+    [knowledgeModes, promptTemplates]
+  );
+
+  const slashSuggestions = useMemo(
+    () => (slash ? matchSlashCommands(slashCommands, slash.query).slice(0, 8) : []),
+    [slashCommands, slash]
+  );
+
+  // Only the messages near the viewport are mounted; heights are measured
+  // as they render
+  const messageVirtualizer = useVirtualizer({
+    count: thread.length,
+    getScrollElement: () => messageListRef.current,
+    estimateSize: () => 160,
+    getItemKey: (index) => thread[index].id,
+    overscan: 4
+  });
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  useEffect(() => {
+    if (activeCitation) {
+      // Looked up in the panel's own root, which is a shadow root in the widget
+      messageListRef.current?.getRootNode().getElementById(activeCitation.anchor)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [activeCitation]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      // composedPath() still sees inside a shadow root, where `target` is the host
+      if (modeMenuRef.current && !event.composedPath().includes(modeMenuRef.current)) {
+        setShowModeMenu(false);
+      }
+    };
+
+    if (showModeMenu) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [showModeMenu]);
+
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    uploadFiles(files);
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // The box is only cleared once the question was actually sent
+  const askQuestion = (question, modes, options) => {
+    if (sendQuestion(question, modes, options)) {
+      setInputMessage('');
+    }
+  };
+
+  // A complete command sent with the button or without the popup still runs
+  const handleSendMessage = () => {
+    const query = parseSlashQuery(inputMessage.trim());
+    const command = query !== null && slashCommands.find(c => c.name === query.toLowerCase());
+    if (command) {
+      runSlashCommand(command);
+    } else {
+      askQuestion(inputMessage);
+    }
+  };
+
+  const handleCompareMessage = () => askQuestion(inputMessage, compareModes);
+
+  // Tracks an "@query" being typed right before the caret
+  const updateMention = (value, caret) => {
+    const match = /(^|\s)@([^\s@]*)$/.exec(value.slice(0, caret));
+    setMention(match
+      ? { start: match.index + match[1].length, end: caret, query: match[2], selected: 0 }
+      : null);
+  };
+
+  const handleInputChange = (e) => {
+    setInputMessage(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+    const query = parseSlashQuery(e.target.value);
+    setSlash(query === null ? null : { query, selected: 0 });
+  };
+
+  const fitTextarea = (textarea) => {
+    textarea.style.height = 'auto';
+    textarea.style.height = Math.min(textarea.scrollHeight, 150) + 'px';
+  };
+
+  // Puts a prompt in the box, ready to be edited or sent
+  const insertPrompt = (text) => {
+    setInputMessage(text);
+    setFillingTemplate(null);
+
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      fitTextarea(textarea);
+      textarea.focus();
+      textarea.setSelectionRange(text.length, text.length);
+    });
+  };
+
+  const runSlashCommand = (command) => {
+    setSlash(null);
+    if (command.action === 'mode') {
+      selectMode(command.mode);
+      setInputMessage('');
+    } else if (command.action === 'clear') {
+      newConversation();
+      setInputMessage('');
+    } else if (extractPlaceholders(command.template.text).length > 0) {
+      setInputMessage('');
+      setFillingTemplate(command.template);
+    } else {
+      insertPrompt(command.template.text);
+    }
+  };
+
+  const selectMention = (doc) => {
+    const before = inputMessage.slice(0, mention.start);
+    const after = inputMessage.slice(mention.end).replace(/^\s+/, '');
+    const nextValue = before + after;
+
+    addDocumentToScope(doc.pdf_id);
+    setInputMessage(nextValue);
+    setMention(null);
+
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  // Arrow keys, Enter/Tab and Escape for an open suggestion popup, whose
+  // state (`popup`, holding `selected`) is kept with `setPopup`
+  const handleSuggestionKeys = (e, suggestions, popup, setPopup, onPick) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setPopup(prev => ({
+        ...prev,
+        selected: (prev.selected + step + suggestions.length) % suggestions.length
+      }));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      onPick(suggestions[popup.selected] || suggestions[0]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setPopup(null);
+    }
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (slash && slashSuggestions.length > 0) {
+      handleSuggestionKeys(e, slashSuggestions, slash, setSlash, runSlashCommand);
+    } else if (mention && mentionSuggestions.length > 0) {
+      handleSuggestionKeys(e, mentionSuggestions, mention, setMention, selectMention);
+    }
+  };
+
+  const editTemplate = (command) => {
+    setSlash(null);
+    setEditingTemplate({ id: command.id, template: command.template });
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
+  };
+
+  return (
+    <div className={`flex flex-col relative overflow-hidden ${className}`}>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ACCEPTED_FILE_TYPES}
+        multiple
+        onChange={handleFileUpload}
+        className="hidden"
+      />
+
+      {/* Dynamic Background - Only shows when no messages */}
+      {thread.length === 0 && (
+        <div className="absolute inset-0 z-0">
+          {/* Main gradient background */}
+          <div 
+            className="absolute inset-0"
+            style={{
+              background: `
+                radial-gradient(ellipse at center, 
+                  rgba(30, 40, 70, 1) 0%,
+                  rgba(87, 113, 166, 1) 25%,
+                  rgba(159, 127, 215, 1) 55%,
+                  rgba(243, 93, 190, 1) 85%,
+                  rgba(243, 93, 190, 0.9) 100%
+                )
+              `
+            }}
+          />
+          {/* Bottom orange band */}
+          <div 
+            className="absolute bottom-0 left-0 right-0 h-64"
+            style={{
+              background: 'linear-gradient(to bottom, rgba(254, 105, 29, 0) 0%, rgba(254, 105, 29, 0.3) 30%, rgba(254, 105, 29, 0.7) 60%, rgba(254, 105, 29, 1) 80%, rgba(232, 90, 16, 1) 100%)'
+            }}
+          />
+        </div>
+      )}
+
+      {/* Error Banner */}
+      {error && (
+        <div className="bg-neutral-800 border-b border-neutral-700 p-3 flex items-center gap-2 relative z-10">
+          <AlertCircle className="w-5 h-5 text-neutral-300 flex-shrink-0" />
+          <p className="text-sm text-neutral-200 flex-1">{error}</p>
+          <button
+            onClick={() => setError(null)}
+            className="text-neutral-400 hover:text-neutral-200"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {/* Messages */}
+      <div ref={messageListRef} className="flex-1 overflow-y-auto p-6 relative z-10">
+        <div className="max-w-3xl mx-auto">
+          {thread.length === 0 ? (
+            <EmptyState
+              modeName={knowledgeModes[knowledgeMode].name}
+              typingTrigger={typingTrigger}
+              starterQuestions={starterQuestions}
+              isLoading={isLoading}
+              onAsk={sendQuestion}
+            />
+          ) : (
+            <div className="relative" style={{ height: messageVirtualizer.getTotalSize() }}>
+              {messageVirtualizer.getVirtualItems().map(item => (
+                <div
+                  key={item.key}
+                  data-index={item.index}
+                  ref={messageVirtualizer.measureElement}
+                  className="absolute top-0 left-0 w-full pb-6"
+                  style={{ transform: `translateY(${item.start}px)` }}
+                >
+                  <MessageRenderer message={thread[item.index]} />
+                </div>
+              ))}
+            </div>
+          )}
+          
+          {isLoading && !isStreaming && (
+            <div>
+              <div className="bg-neutral-800 border border-neutral-700 rounded-2xl px-4 py-3 w-fit max-w-2xl">
+                <div className="flex items-center gap-2">
+                  <Loader className="w-4 h-4 animate-spin text-neutral-400" />
+                  <span className="text-neutral-300">Thinking...</span>
+                </div>
+              </div>
+            </div>
+          )}
+          
+          <div ref={messagesEndRef} />
+        </div>
+      </div>
+
+      {/* Input Area - Centered */}
+      <div className="p-4 pb-8 relative z-10">
+        <div className="max-w-2xl mx-auto relative">
+          {/* Mode Menu */}
+          {showModeMenu && (
+            <div 
+              ref={modeMenuRef}
+              className="absolute bottom-full left-0 mb-2 rounded-2xl shadow-2xl overflow-hidden z-10 animate-slideUp"
+              style={{ 
+                minWidth: '280px',
+                background: 'rgba(30, 30, 30, 0.7)',
+                backdropFilter: 'blur(40px) saturate(180%)',
+                WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+                border: '1px solid rgba(255, 255, 255, 0.18)',
+                boxShadow: '0 8px 32px 0 rgba(0, 0, 0, 0.37), inset 0 1px 0 0 rgba(255, 255, 255, 0.15)',
+                animation: 'slideUp 0.5s cubic-bezier(0.34, 1.56, 0.64, 1) forwards'
+              }}
+            >
+              {/* Upload Section */}
+              <div className="border-b border-white/10">
+                <div className="px-3 py-2">
+                  <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+                    Upload
+                  </h3>
+                </div>
+                <button
+                  onClick={() => {
+                    fileInputRef.current?.click();
+                    setShowModeMenu(false);
+                  }}
+                  className="w-full text-left p-3 hover:bg-white/5 transition-colors flex items-center gap-3"
+                >
+                  <Upload className="w-5 h-5 text-neutral-300" />
+                  <div className="flex-1">
+                    <div className="font-medium text-sm text-white">Upload documents</div>
+                    <div className="text-xs text-neutral-400">Add documents to chat with</div>
+                  </div>
+                </button>
+              </div>
+
+              {/* Knowledge Mode Section */}
+              <div>
+                <div className="px-3 py-2">
+                  <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+                    Knowledge Mode
+                  </h3>
+                </div>
+                <KnowledgeModeSelector variant="menu" onSelect={() => setShowModeMenu(false)} />
+              </div>
+
+              {/* Prompt Templates Section */}
+              <div className="border-t border-white/10">
+                <button
+                  onClick={() => {
+                    setEditingTemplate({ id: null, template: { text: inputMessage } });
+                    setShowModeMenu(false);
+                  }}
+                  className="w-full text-left p-3 hover:bg-white/5 transition-colors flex items-center gap-3"
+                >
+                  <BookmarkPlus className="w-5 h-5 text-neutral-300" />
+                  <div className="flex-1">
+                    <div className="font-medium text-sm text-white">
+                      {inputMessage.trim() ? 'Save prompt as template' : 'New prompt template'}
+                    </div>
+                    <div className="text-xs text-neutral-400">Type / in the box to use templates</div>
+                  </div>
+                </button>
+              </div>
+
+              {/* Compare Modes Section */}
+              <div className="border-t border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">
+                  Compare Modes
+                </h3>
+                <div className="flex flex-wrap gap-1.5 mb-3">
+                  {Object.entries(knowledgeModes).map(([key, mode]) => (
+                    <button
+                      key={key}
+                      onClick={() => toggleCompareMode(key)}
+                      className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs border transition-colors ${
+                        compareModes.includes(key)
+                          ? 'bg-white/15 border-white/30 text-white'
+                          : 'border-white/10 text-neutral-400 hover:bg-white/5'
+                      }`}
+                    >
+                      <span>{mode.icon}</span>
+                      {mode.name}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={() => {
+                    setShowModeMenu(false);
+                    handleCompareMessage();
+                  }}
+                  disabled={!inputMessage.trim() || isLoading || compareModes.length < 2 || scopedDocuments.length === 0}
+                  className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg bg-white/10 text-sm text-white hover:bg-white/15 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <Columns className="w-4 h-4" />
+                  Ask in {compareModes.length} modes
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Mention Suggestions */}
+          {mention && mentionSuggestions.length > 0 && (
+            <div className="absolute bottom-full left-0 right-0 mb-2 rounded-2xl shadow-2xl overflow-hidden z-20 bg-neutral-800 border border-neutral-700">
+              <div className="px-3 py-2 text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+                Ask about a document
+              </div>
+              {mentionSuggestions.map((doc, index) => (
+                <button
+                  key={doc.pdf_id}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    selectMention(doc);
+                  }}
+                  className={`w-full text-left px-3 py-2 flex items-center gap-2 text-sm transition-colors ${
+                    index === mention.selected ? 'bg-neutral-700 text-white' : 'text-neutral-300 hover:bg-neutral-700/50'
+                  }`}
+                >
+                  <SourceIcon doc={doc} className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                  <span className="truncate">{doc.pdf_name}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Slash Command Suggestions */}
+          {slash && slashSuggestions.length > 0 && (
+            <div className="absolute bottom-full left-0 right-0 mb-2 rounded-2xl shadow-2xl overflow-hidden z-20 bg-neutral-800 border border-neutral-700">
+              <div className="px-3 py-2 text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+                Commands
+              </div>
+              {slashSuggestions.map((command, index) => (
+                <div
+                  key={command.id || command.name}
+                  className={`flex items-center text-sm transition-colors ${
+                    index === slash.selected ? 'bg-neutral-700 text-white' : 'text-neutral-300 hover:bg-neutral-700/50'
+                  }`}
+                >
+                  <button
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      runSlashCommand(command);
+                    }}
+                    className="flex-1 min-w-0 text-left px-3 py-2 flex items-center gap-2"
+                  >
+                    <Slash className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                    <span className="font-mono flex-shrink-0">{command.name}</span>
+                    <span className="truncate text-xs text-neutral-400">{command.description}</span>
+                  </button>
+                  {command.id && (
+                    <button
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        editTemplate(command);
+                      }}
+                      className="p-2 mr-1 text-neutral-400 hover:text-neutral-100 rounded"
+                      title="Edit template"
+                    >
+                      <Pencil className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Template Placeholders */}
+          {fillingTemplate && (
+            <TemplateForm
+              template={fillingTemplate}
+              onInsert={insertPrompt}
+              onCancel={() => setFillingTemplate(null)}
+            />
+          )}
+
+          {/* Budget Warning */}
+          {budgetWarning && (
+            <div className="mb-2 p-3 rounded-xl bg-amber-900/30 border border-amber-700/60 text-sm text-amber-100">
+              <p>
+                This question would bring the conversation to about {formatCost(budgetWarning.projected)}, over
+                its {formatCost(usageSettings.conversationBudget)} budget ({formatCost(budgetWarning.spent)} spent so far).
+              </p>
+              <div className="mt-2 flex gap-3 text-xs">
+                <button
+                  onClick={() => askQuestion(budgetWarning.question, budgetWarning.modes, { ignoreBudget: true })}
+                  className="font-medium underline hover:text-white"
+                >
+                  Send anyway
+                </button>
+                <button
+                  onClick={() => setBudgetWarning(null)}
+                  className="underline hover:text-white"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Document Scope Chips */}
+          {documentScope !== null && documents.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5 mb-2">
+              <AtSign className="w-3.5 h-3.5 text-neutral-400" />
+              {scopedDocuments.length === 0 ? (
+                <span className="text-xs text-neutral-400">No documents selected</span>
+              ) : (
+                scopedDocuments.map((doc) => (
+                  <span
+                    key={doc.pdf_id}
+                    className="flex items-center gap-1 max-w-[14rem] pl-2 pr-1 py-0.5 rounded-full bg-neutral-700 border border-neutral-600 text-xs text-neutral-200"
+                  >
+                    <span className="truncate">{doc.pdf_name}</span>
+                    <button
+                      onClick={() => toggleDocumentScope(doc.pdf_id)}
+                      className="p-0.5 text-neutral-400 hover:text-neutral-100 rounded-full"
+                      title="Remove from scope"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))
+              )}
+              <button
+                onClick={() => setDocumentScope(null)}
+                className="text-xs text-neutral-400 hover:text-neutral-100 px-1"
+              >
+                Use all
+              </button>
+            </div>
+          )}
+
+          {/* Input Container */}
+          <div className="relative flex items-start gap-2 bg-neutral-800 border border-neutral-700 rounded-3xl px-2 py-2">
+            {/* Plus/Mode Button */}
+            <button
+              onClick={() => setShowModeMenu(!showModeMenu)}
+              disabled={isLoading}
+              className="flex-shrink-0 p-2 text-white hover:text-neutral-100 hover:bg-neutral-700 rounded-full transition-colors disabled:opacity-50 mt-0.5"
+              title="Change mode"
+            >
+              <Plus className="w-5 h-5" />
+            </button>
+
+            {/* Text Input */}
+            <textarea
+              ref={textareaRef}
+              value={inputMessage}
+              onChange={handleInputChange}
+              onKeyDown={handleInputKeyDown}
+              onKeyPress={handleKeyPress}
+              onBlur={() => {
+                setMention(null);
+                setSlash(null);
+              }}
+              placeholder={
+                documents.length === 0
+                  ? 'Upload a document to start chatting...'
+                  : scopedDocuments.length === 0
+                    ? 'Select at least one document to ask about...'
+                    : 'Ask anything... (@ to pick documents, / for commands)'
+              }
+              disabled={isLoading || documents.length === 0}
+              rows={1}
+              className="flex-1 bg-transparent px-2 py-2 text-neutral-100 placeholder-neutral-500 focus:outline-none disabled:text-neutral-600 resize-none overflow-y-auto custom-scrollbar"
+              style={{ maxHeight: '150px' }}
+              onInput={(e) => fitTextarea(e.target)}
+            />
+
+            {/* Send / Stop Button */}
+            {isLoading ? (
+              <button
+                onClick={stop}
+                className="flex-shrink-0 p-2 bg-neutral-200 text-neutral-900 rounded-full hover:bg-neutral-100 transition-colors mt-0.5"
+                title="Stop generating"
+              >
+                <Square className="w-5 h-5 fill-current" />
+              </button>
+            ) : (
+              <button
+                onClick={handleSendMessage}
+                disabled={!inputMessage.trim() || scopedDocuments.length === 0}
+                className="flex-shrink-0 p-2 bg-neutral-200 text-neutral-900 rounded-full hover:bg-neutral-100 transition-colors disabled:opacity-30 disabled:cursor-not-allowed mt-0.5"
+              >
+                <ArrowUp className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+
+          {/* Status Text */}
+          <div className={`mt-2 text-xs text-center transition-colors ${thread.length === 0 ? 'text-neutral-800' : 'text-white'}`}>
+            {documentScope === null
+              ? `${documents.length} document${documents.length !== 1 ? 's' : ''} loaded`
+              : `${scopedDocuments.length} of ${documents.length} documents selected`} • {knowledgeModes[knowledgeMode].name} mode
+          </div>
+        </div>
+      </div>
+
+      {/* Prompt Template Editor */}
+      {editingTemplate && (
+        <PromptTemplateEditor
+          template={editingTemplate.template}
+          contained={contained}
+          onSave={(values) => savePromptTemplate(values, editingTemplate.id || undefined)}
+          onDelete={editingTemplate.id ? () => deletePromptTemplate(editingTemplate.id) : undefined}
+          onClose={() => setEditingTemplate(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Loader, AlertCircle, Search, Eye, Sparkles, RefreshCw } from 'lucide-react';
+import { SOURCE_TYPES, documentSourceType } from './sourceTypes';
+import { formatBytes } from './format';
+
+// Backends report chunk pages under a few different names
+export const normalizeChunk = (chunk, index) => {
+  const metadata = chunk.metadata || {};
+  const pageStart = chunk.page_start ?? chunk.page ?? metadata.page_start ?? metadata.page ?? null;
+  return {
+    index: chunk.chunk_index ?? chunk.index ?? index,
+    id: chunk.chunk_id ?? chunk.id ?? `chunk-${index}`,
+    text: chunk.text ?? chunk.content ?? '',
+    pageStart,
+    pageEnd: chunk.page_end ?? metadata.page_end ?? pageStart
+  };
+};
+
+// Chunks containing every word of `query`, optionally limited to one page
+export const filterChunks = (chunks, query, page = null) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return chunks.filter(chunk => {
+    if (page != null && (chunk.pageStart == null || page < chunk.pageStart || page > chunk.pageEnd)) return false;
+    const text = chunk.text.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
+
+const formatPages = ({ pageStart, pageEnd }) => {
+  if (pageStart == null) return null;
+  return pageEnd != null && pageEnd !== pageStart ? `pp. ${pageStart}–${pageEnd}` : `p. ${pageStart}`;
+};
+
+function HighlightedText({ text, query }) {
+  const words = query.split(/\s+/).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) return text;
+
+  const parts = text.split(new RegExp(`(${words.join('|')})`, 'gi'));
+  return parts.map((part, index) => (index % 2 === 1
+    ? <mark key={index} className="bg-neutral-500 text-white rounded-sm">{part}</mark>
+    : part));
+}
+
+// Generated abstract, key points and section outline
+function SummarySection({ summary, isSummarizing, onSummarize, onOpenPage }) {
+  if (!summary) {
+    return (
+      <button
+        onClick={onSummarize}
+        disabled={isSummarizing}
+        className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-neutral-800 border border-neutral-700 text-sm text-neutral-200 rounded-lg hover:bg-neutral-700 transition-colors disabled:opacity-60"
+      >
+        {isSummarizing ? <Loader className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+        {isSummarizing ? 'Summarizing...' : 'Generate summary'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-neutral-400 uppercase tracking-wide">Summary</h3>
+        <button
+          onClick={onSummarize}
+          disabled={isSummarizing}
+          className="p-1 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-700 rounded disabled:opacity-50"
+          title="Regenerate summary"
+        >
+          <RefreshCw className={`w-3 h-3 ${isSummarizing ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+      {summary.abstract && <p className="text-neutral-300 leading-relaxed">{summary.abstract}</p>}
+      {summary.keyPoints.length > 0 && (
+        <ul className="list-disc pl-4 space-y-1 text-neutral-300">
+          {summary.keyPoints.map((point, index) => <li key={index}>{point}</li>)}
+        </ul>
+      )}
+      {summary.outline.length > 0 && (
+        <ol className="space-y-0.5">
+          {summary.outline.map((section, index) => (
+            <li key={index} className="flex items-baseline gap-2 text-neutral-300">
+              <span className="flex-1 truncate">{section.title}</span>
+              {section.page != null && (
+                <button onClick={() => onOpenPage(section.page)} className="text-neutral-500 hover:text-neutral-200">
+                  p. {section.page}
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Drawer with a document's metadata, summary, its pages and the chunks it was
+ * split into, searchable so retrieval misses can be investigated.
+ */
+export default function DocumentDetails({
+  document: doc,
+  api,
+  summary,
+  isSummarizing,
+  onSummarize,
+  onClose,
+  onOpenChunk
+}) {
+  const [details, setDetails] = useState(null);
+  const [chunks, setChunks] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [selectedPage, setSelectedPage] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setChunks(null);
+    setDetails(null);
+    setLoadError(null);
+    setQuery('');
+    setSelectedPage(null);
+
+    api.getDocumentChunks(doc.pdf_id, { signal: controller.signal })
+      .then(data => {
+        setChunks((data.chunks || []).map(normalizeChunk));
+        setDetails(data.document || null);
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) setLoadError(error.message);
+      });
+
+    return () => controller.abort();
+  }, [api, doc.pdf_id]);
+
+  const info = { ...doc, ...details };
+  const sourceType = documentSourceType(info);
+  const pageCount = info.page_count ?? info.pages?.length ?? null;
+
+  // Chunks per page, for the page list
+  const pages = useMemo(() => {
+    if (!chunks) return [];
+    const counts = new Map();
+    chunks.forEach(chunk => {
+      if (chunk.pageStart == null) return;
+      for (let page = chunk.pageStart; page <= chunk.pageEnd; page++) {
+        counts.set(page, (counts.get(page) || 0) + 1);
+      }
+    });
+    return [...counts.entries()].sort((a, b) => a[0] - b[0]);
+  }, [chunks]);
+
+  const visibleChunks = useMemo(
+    () => (chunks ? filterChunks(chunks, query, selectedPage) : []),
+    [chunks, query, selectedPage]
+  );
+
+  const uploadedAt = info.uploaded_at || info.created_at;
+  const metadata = [
+    ['Type', SOURCE_TYPES[sourceType].label],
+    ['Uploaded', uploadedAt ? new Date(uploadedAt).toLocaleString() : null],
+    ['Size', formatBytes(info.file_size ?? info.size_bytes ?? info.size)],
+    ['Pages', pageCount],
+    ['Chunks', chunks ? chunks.length : info.chunk_count],
+    ['Source', info.source_url]
+  ].filter(([, value]) => value != null && value !== '');
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-900">
+      {/* Drawer Header */}
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-neutral-700 bg-neutral-800">
+        <p className="flex-1 min-w-0 text-sm font-medium text-white truncate" title={doc.pdf_name}>
+          {doc.pdf_name}
+        </p>
+        <button
+          onClick={onClose}
+          className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+          title="Close details"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-5">
+        {/* Metadata */}
+        <dl className="grid grid-cols-[auto,1fr] gap-x-4 gap-y-1 text-xs">
+          {metadata.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-neutral-400">{label}</dt>
+              <dd className="text-neutral-200 truncate" title={String(value)}>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        <SummarySection
+          summary={summary}
+          isSummarizing={isSummarizing}
+          onSummarize={onSummarize}
+          onOpenPage={(page) => onOpenChunk({ pageStart: page, text: null })}
+        />
+
+        {loadError ? (
+          <div className="flex items-center gap-2 text-sm text-neutral-300">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            Failed to load chunks: {loadError}
+          </div>
+        ) : !chunks ? (
+          <div className="flex items-center justify-center gap-2 text-neutral-400 py-8">
+            <Loader className="w-4 h-4 animate-spin" />
+            <span className="text-sm">Loading chunks...</span>
+          </div>
+        ) : (
+          <>
+            {/* Pages */}
+            {pages.length > 0 && (
+              <div>
+                <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">Pages</h3>
+                <div className="flex flex-wrap gap-1">
+                  {pages.map(([page, count]) => (
+                    <button
+                      key={page}
+                      onClick={() => setSelectedPage(prev => (prev === page ? null : page))}
+                      className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                        selectedPage === page
+                          ? 'bg-neutral-200 text-neutral-900'
+                          : 'bg-neutral-700 text-neutral-300 hover:bg-neutral-600'
+                      }`}
+                      title={`${count} chunk${count !== 1 ? 's' : ''}`}
+                    >
+                      {page}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Chunks */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide">Chunks</h3>
+                <span className="text-xs text-neutral-500">
+                  {visibleChunks.length} of {chunks.length}
+                </span>
+              </div>
+              <div className="flex items-center gap-2 px-2 mb-3 bg-neutral-800 border border-neutral-700 rounded-lg">
+                <Search className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search chunk text..."
+                  className="flex-1 min-w-0 py-2 bg-transparent text-sm text-neutral-200 placeholder-neutral-500 focus:outline-none"
+                />
+              </div>
+
+              <div className="space-y-2">
+                {visibleChunks.map(chunk => (
+                  <div key={chunk.id} className="rounded-lg border border-neutral-700 bg-neutral-800/60 p-3">
+                    <div className="flex items-center gap-2 text-xs text-neutral-300 mb-1">
+                      <span className="font-semibold text-neutral-100">#{chunk.index + 1}</span>
+                      {formatPages(chunk) && <span className="text-neutral-400">{formatPages(chunk)}</span>}
+                      <span className="text-neutral-500">{chunk.text.length} chars</span>
+                      {sourceType === 'pdf' && chunk.pageStart != null && (
+                        <button
+                          onClick={() => onOpenChunk(chunk)}
+                          className="ml-auto flex items-center gap-1 px-1.5 py-0.5 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-colors"
+                          title="Show in document"
+                        >
+                          <Eye className="w-3 h-3" />
+                          View
+                        </button>
+                      )}
+                    </div>
+                    <p
+                      onClick={() => setExpanded(prev => ({ ...prev, [chunk.id]: !prev[chunk.id] }))}
+                      className={`text-xs text-neutral-400 whitespace-pre-wrap cursor-pointer ${expanded[chunk.id] ? '' : 'line-clamp-4'}`}
+                    >
+                      <HighlightedText text={chunk.text} query={query} />
+                    </p>
+                  </div>
+                ))}
+                {visibleChunks.length === 0 && (
+                  <p className="text-xs text-neutral-500 text-center py-4">No chunks match</p>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { normalizeChunk, filterChunks } from './DocumentDetails';
+
+const chunks = [
+  { text: 'Black holes bend light', page_start: 1, page_end: 2 },
+  { content: 'Light travels fast', metadata: { page: 3 } },
+  { text: 'Dark matter halos', page: 4 }
+].map(normalizeChunk);
+
+test('normalizes page fields from different backends', () => {
+  expect(chunks.map(chunk => [chunk.pageStart, chunk.pageEnd])).toEqual([[1, 2], [3, 3], [4, 4]]);
+  expect(chunks[1].text).toBe('Light travels fast');
+});
+
+test('filters chunks by every search word and by page', () => {
+  expect(filterChunks(chunks, 'LIGHT').map(chunk => chunk.index)).toEqual([0, 1]);
+  expect(filterChunks(chunks, 'light bend').map(chunk => chunk.index)).toEqual([0]);
+  expect(filterChunks(chunks, '', 2).map(chunk => chunk.index)).toEqual([0]);
+});
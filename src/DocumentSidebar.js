@@ -0,0 +1,766 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { Upload, FileText, Trash2, AlertCircle, CheckCircle, Loader, Plus, Eye, MessageSquare, Pencil, Search, X, Download, RotateCcw, Link, Info, Tag, CheckSquare, Sparkles, BarChart3 } from 'lucide-react';
+import { useChatbot } from './chatbotStore';
+import { DEFAULT_CONVERSATION_TITLE } from './conversationStore';
+import { EXPORT_FORMATS } from './exportConversation';
+import { PROCESSING_STAGES, FINISHED_STATUSES } from './useUploadQueue';
+import { formatBytes } from './format';
+import { DOCUMENT_SORTS, sortDocuments, filterDocuments } from './documentLibrary';
+import { SOURCE_TYPES, ACCEPTED_FILE_TYPES, documentSourceType } from './sourceTypes';
+import DocumentDetails from './DocumentDetails';
+import KnowledgeModeSelector from './KnowledgeModeSelector';
+import SourceIcon from './SourceIcon';
+
+// Per-file upload progress with cancel / retry and a summary of failures
+function UploadQueuePanel({ queue }) {
+  const { items, cancel, retry, dismiss, clearFinished, concurrency, setConcurrency } = queue;
+  if (items.length === 0) return null;
+
+  const failed = items.filter(item => item.status === 'failed' || item.status === 'rejected');
+  const hasFinished = items.some(item => FINISHED_STATUSES.includes(item.status));
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex items-center justify-between text-xs text-neutral-400">
+        <label className="flex items-center gap-1">
+          Parallel uploads
+          <select
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            className="bg-neutral-700 text-neutral-200 rounded px-1 py-0.5 focus:outline-none"
+          >
+            {[1, 2, 3, 4, 6].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </label>
+        {hasFinished && (
+          <button onClick={clearFinished} className="hover:text-neutral-200 transition-colors">
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
+        {items.map(item => {
+          const percent = item.total > 0 ? Math.round((item.loaded / item.total) * 100) : 0;
+          const isActive = ['checking', 'queued', 'uploading', 'processing'].includes(item.status);
+          const details = [
+            item.pageCount != null && `${item.pageCount} ${item.pageCount === 1 ? 'page' : 'pages'}`,
+            formatBytes(item.size)
+          ].filter(Boolean).join(' • ');
+
+          return (
+            <div key={item.id} className="p-2 bg-neutral-700/60 rounded-lg">
+              <div className="flex items-center gap-2 text-xs">
+                {item.status === 'done' && <CheckCircle className="w-3 h-3 text-green-400 flex-shrink-0" />}
+                {(item.status === 'failed' || item.status === 'rejected') && (
+                  <AlertCircle className="w-3 h-3 text-red-400 flex-shrink-0" />
+                )}
+                {['checking', 'uploading', 'processing'].includes(item.status) && (
+                  <Loader className="w-3 h-3 text-neutral-300 animate-spin flex-shrink-0" />
+                )}
+                <span className="flex-1 truncate text-neutral-200" title={item.name}>{item.name}</span>
+                {isActive ? (
+                  <button
+                    onClick={() => cancel(item.id)}
+                    className="p-0.5 text-neutral-400 hover:text-neutral-100 rounded flex-shrink-0"
+                    title="Cancel upload"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                ) : (item.status === 'failed' || item.status === 'cancelled') && (
+                  <button
+                    onClick={() => retry(item.id)}
+                    className="p-0.5 text-neutral-400 hover:text-neutral-100 rounded flex-shrink-0"
+                    title="Retry upload"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+
+              {item.status === 'uploading' && item.url && (
+                <div className="mt-1 text-[11px] text-neutral-400">Fetching page…</div>
+              )}
+              {item.status === 'uploading' && !item.url && (
+                <>
+                  <div className="mt-1.5 h-1 bg-neutral-600 rounded-full overflow-hidden">
+                    <div className="h-full bg-neutral-200 transition-all" style={{ width: `${percent}%` }} />
+                  </div>
+                  <div className="mt-1 text-[11px] text-neutral-400">
+                    {formatBytes(item.loaded)} / {formatBytes(item.total)} • {percent}%
+                  </div>
+                </>
+              )}
+              {item.status === 'processing' && (
+                <div className="mt-1 text-[11px] text-neutral-400">
+                  {PROCESSING_STAGES[item.stage] || item.stage}
+                  {item.stageProgress != null && ` • ${Math.round(item.stageProgress * 100)}%`}
+                </div>
+              )}
+              {item.status === 'checking' && (
+                <div className="mt-1 text-[11px] text-neutral-400">Checking • {details}</div>
+              )}
+              {item.status === 'queued' && (
+                <div className="mt-1 text-[11px] text-neutral-400">Queued • {details}</div>
+              )}
+              {item.status === 'duplicate' && (
+                <div className="mt-1 text-[11px] text-amber-300">
+                  Already indexed as “{item.duplicateOf.pdf_name}”
+                  <div className="mt-1 flex gap-2">
+                    <button onClick={() => retry(item.id)} className="underline hover:text-amber-100">
+                      Upload anyway
+                    </button>
+                    <button onClick={() => dismiss(item.id)} className="underline hover:text-amber-100">
+                      Skip
+                    </button>
+                  </div>
+                </div>
+              )}
+              {item.status === 'cancelled' && (
+                <div className="mt-1 text-[11px] text-neutral-400">Cancelled</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {failed.length > 0 && (
+        <div className="p-2 bg-red-900/30 border border-red-800/60 rounded-lg text-xs text-red-200">
+          <div className="font-medium mb-1">
+            {failed.length} {failed.length === 1 ? 'file' : 'files'} failed
+          </div>
+          <ul className="space-y-0.5">
+            {failed.map(item => (
+              <li key={item.id} className="truncate" title={`${item.name}: ${item.error}`}>
+                {item.name}: {item.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Everything around the documents and conversations: knowledge mode and
+ * history settings, uploads, the conversation list, the document library with
+ * scope, tags and bulk actions, and the document details drawer.
+ *
+ * Props:
+ * - `className`: classes for the sidebar, e.g. its width
+ * - `onOpenUsage()`: shows the token usage dashboard; its button is hidden
+ *   when this is not given
+ */
+export default function DocumentSidebar({ className = 'w-72', onOpenUsage }) {
+  const {
+    api,
+    conversations,
+    activeConversationId,
+    isLoading,
+    newConversation,
+    selectConversation,
+    renameConversation,
+    deleteConversation,
+    exportConversation,
+    contextSettings,
+    updateContextSetting,
+    nextContext,
+    documents,
+    scopedDocuments,
+    documentScope,
+    setDocumentScope,
+    isDocumentInScope,
+    toggleDocumentScope,
+    documentTags,
+    allTags,
+    tagDocuments,
+    untagDocument,
+    summaries,
+    summarizing,
+    requestSummary,
+    summarizeDocument,
+    uploadQueue,
+    uploadFiles,
+    addUrl,
+    pendingDeletion,
+    deleteDocuments,
+    undoDeletion,
+    detailsDocument,
+    setDetailsDocId,
+    viewerTarget,
+    openDocument,
+    openChunk,
+    contained
+  } = useChatbot();
+
+  const [sourceUrl, setSourceUrl] = useState('');
+  const [documentQuery, setDocumentQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState(null);
+  const [documentSort, setDocumentSort] = useState('name');
+  const [selectedDocumentIds, setSelectedDocumentIds] = useState(null);
+  const [bulkTag, setBulkTag] = useState('');
+  const [conversationQuery, setConversationQuery] = useState('');
+  const [renamingConversation, setRenamingConversation] = useState(null);
+  const [exportMenuFor, setExportMenuFor] = useState(null);
+  const fileInputRef = useRef(null);
+  const sidebarRef = useRef(null);
+
+  // A tag that no document carries any more no longer filters
+  const activeTagFilter = allTags.includes(tagFilter) ? tagFilter : null;
+
+  const listedDocuments = useMemo(() => sortDocuments(
+    filterDocuments(documents, { query: documentQuery, tag: activeTagFilter, tags: documentTags }),
+    documentSort
+  ), [documents, documentQuery, activeTagFilter, documentTags, documentSort]);
+
+  const filteredConversations = useMemo(() => {
+    const query = conversationQuery.trim().toLowerCase();
+    if (!query) return conversations;
+    return conversations.filter(conversation =>
+      conversation.title.toLowerCase().includes(query) ||
+      conversation.messages.some(message => message.content?.toLowerCase().includes(query))
+    );
+  }, [conversations, conversationQuery]);
+
+  // The active conversation is listed before it has been saved, too
+  const listedConversations = activeConversationId && !conversations.some(c => c.id === activeConversationId) && !conversationQuery.trim()
+    ? [{ id: activeConversationId, title: DEFAULT_CONVERSATION_TITLE, messages: [], isDraft: true }, ...filteredConversations]
+    : filteredConversations;
+
+  const handleRenameConversation = () => {
+    if (!renamingConversation) return;
+    setRenamingConversation(null);
+    renameConversation(renamingConversation.id, renamingConversation.title);
+  };
+
+  const handleExportConversation = (conversation, format) => {
+    setExportMenuFor(null);
+    exportConversation(conversation, format, sidebarRef.current?.getRootNode());
+  };
+
+  const handleAddUrl = (e) => {
+    e.preventDefault();
+    if (addUrl(sourceUrl)) {
+      setSourceUrl('');
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    uploadFiles(files);
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleDeleteDocuments = (pdfIds) => {
+    deleteDocuments(pdfIds);
+    setSelectedDocumentIds(prev => prev && prev.filter(id => !pdfIds.includes(id)));
+  };
+
+  const toggleDocumentSelection = (pdfId) => {
+    setSelectedDocumentIds(prev => (prev.includes(pdfId) ? prev.filter(id => id !== pdfId) : [...prev, pdfId]));
+  };
+
+  const handleBulkTag = (e) => {
+    e.preventDefault();
+    if (!bulkTag.trim() || selectedDocumentIds.length === 0) return;
+    tagDocuments(selectedDocumentIds, bulkTag);
+    setBulkTag('');
+  };
+
+  return (
+    <>
+      <div ref={sidebarRef} className={`bg-neutral-800 border-r border-neutral-700 flex flex-col transition-all duration-300 overflow-hidden ${className}`}>
+        {/* Header */}
+        <div className="p-4 border-b border-neutral-700">
+          <h1 className="text-xl font-bold text-white whitespace-nowrap">PDF Chatbot</h1>
+          <p className="text-sm text-neutral-400 mt-1 whitespace-nowrap">Chat with your documents</p>
+        </div>
+
+        {/* Knowledge Mode Selector */}
+        <div className="p-4 border-b border-neutral-700">
+          <label className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2 block">
+            Knowledge Mode
+          </label>
+          <KnowledgeModeSelector />
+        </div>
+
+        {/* Conversation Context */}
+        <div className="p-4 border-b border-neutral-700">
+          <label className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2 block">
+            Conversation Context
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-neutral-400">
+              Turns
+              <input
+                type="number"
+                min={0}
+                max={20}
+                value={contextSettings.maxTurns}
+                onChange={(e) => updateContextSetting('maxTurns', e.target.value, 20)}
+                className="mt-1 w-full bg-neutral-700 border border-neutral-600 rounded-lg px-2 py-1.5 text-sm text-white focus:outline-none focus:border-neutral-500"
+              />
+            </label>
+            <label className="text-xs text-neutral-400">
+              Token budget
+              <input
+                type="number"
+                min={0}
+                max={16000}
+                step={250}
+                value={contextSettings.maxTokens}
+                onChange={(e) => updateContextSetting('maxTokens', e.target.value, 16000)}
+                className="mt-1 w-full bg-neutral-700 border border-neutral-600 rounded-lg px-2 py-1.5 text-sm text-white focus:outline-none focus:border-neutral-500"
+              />
+            </label>
+          </div>
+          <p className="text-xs text-neutral-500 mt-2">
+            {nextContext.turns > 0
+              ? `Next question includes ${nextContext.turns} earlier turn${nextContext.turns !== 1 ? 's' : ''} (~${nextContext.tokens} tokens)`
+              : 'Next question is sent without history'}
+          </p>
+        </div>
+
+        {/* Upload Section */}
+        <div className="p-4 border-b border-neutral-700">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_FILE_TYPES}
+            multiple
+            onChange={handleFileUpload}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-neutral-200 text-neutral-900 rounded-lg hover:bg-neutral-100 transition-colors font-medium"
+          >
+            <Upload className="w-5 h-5" />
+            Upload documents
+          </button>
+          <p className="mt-1.5 text-xs text-neutral-500 text-center">PDF, Word, Markdown, text or HTML</p>
+
+          <form onSubmit={handleAddUrl} className="mt-3 flex gap-2">
+            <div className="flex-1 flex items-center gap-2 px-2 bg-neutral-700 rounded-lg">
+              <Link className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+              <input
+                type="url"
+                value={sourceUrl}
+                onChange={(e) => setSourceUrl(e.target.value)}
+                placeholder="Add a web page URL"
+                className="flex-1 min-w-0 py-2 bg-transparent text-sm text-neutral-200 placeholder-neutral-500 focus:outline-none"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={!sourceUrl.trim()}
+              className="px-3 py-2 bg-neutral-700 text-neutral-200 text-sm rounded-lg hover:bg-neutral-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add
+            </button>
+          </form>
+
+          <UploadQueuePanel queue={uploadQueue} />
+        </div>
+
+        {/* Conversations */}
+        <div className="p-4 border-b border-neutral-700">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+              Conversations
+            </h2>
+            <div className="flex items-center gap-1">
+              {onOpenUsage && (
+                <button
+                  onClick={onOpenUsage}
+                  className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors"
+                  title="Token usage and cost"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={newConversation}
+                disabled={isLoading}
+                className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors disabled:opacity-50"
+                title="New conversation"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="relative mb-2">
+            <Search className="w-3.5 h-3.5 text-neutral-500 absolute left-2.5 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={conversationQuery}
+              onChange={(e) => setConversationQuery(e.target.value)}
+              placeholder="Search conversations"
+              className="w-full bg-neutral-700 border border-neutral-600 rounded-lg pl-8 pr-2 py-1.5 text-sm text-white placeholder-neutral-500 focus:outline-none focus:border-neutral-500"
+            />
+          </div>
+          <div className="space-y-1 max-h-56 overflow-y-auto custom-scrollbar">
+            {listedConversations.length === 0 ? (
+              <p className="text-xs text-neutral-500 py-2 text-center">No conversations found</p>
+            ) : (
+              listedConversations.map((conversation) => (
+                <div
+                  key={conversation.id}
+                  className={`group flex items-center gap-2 px-2 py-1.5 rounded-lg transition-colors ${
+                    conversation.id === activeConversationId ? 'bg-neutral-700' : 'hover:bg-neutral-700/50'
+                  }`}
+                >
+                  <MessageSquare className="w-3.5 h-3.5 text-neutral-400 flex-shrink-0" />
+                  {renamingConversation?.id === conversation.id ? (
+                    <input
+                      autoFocus
+                      value={renamingConversation.title}
+                      onChange={(e) => setRenamingConversation({ id: conversation.id, title: e.target.value })}
+                      onBlur={handleRenameConversation}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleRenameConversation();
+                        if (e.key === 'Escape') setRenamingConversation(null);
+                      }}
+                      className="flex-1 min-w-0 bg-neutral-800 border border-neutral-600 rounded px-1.5 py-0.5 text-sm text-white focus:outline-none"
+                    />
+                  ) : (
+                    <button
+                      onClick={() => selectConversation(conversation)}
+                      disabled={isLoading}
+                      className="flex-1 min-w-0 text-left text-sm text-neutral-200 truncate disabled:cursor-not-allowed"
+                      title={conversation.title}
+                    >
+                      {conversation.title}
+                    </button>
+                  )}
+                  {!conversation.isDraft && renamingConversation?.id !== conversation.id && (
+                    <div className={`flex items-center transition-opacity ${
+                      exportMenuFor === conversation.id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+                    }`}>
+                      <button
+                        onClick={() => setExportMenuFor(prev => (prev === conversation.id ? null : conversation.id))}
+                        className="p-1 text-neutral-400 hover:text-neutral-100 rounded"
+                        title="Export"
+                      >
+                        <Download className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => setRenamingConversation({ id: conversation.id, title: conversation.title })}
+                        className="p-1 text-neutral-400 hover:text-neutral-100 rounded"
+                        title="Rename"
+                      >
+                        <Pencil className="w-3 h-3" />
+                      </button>
+                      <button
+                        onClick={() => deleteConversation(conversation)}
+                        disabled={isLoading && conversation.id === activeConversationId}
+                        className="p-1 text-neutral-400 hover:text-neutral-100 rounded disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+          {exportMenuFor && (
+            <div className="mt-2 p-2 rounded-lg bg-neutral-900/60 border border-neutral-700">
+              <p className="text-xs text-neutral-400 mb-1.5 truncate">
+                Export "{conversations.find(c => c.id === exportMenuFor)?.title}"
+              </p>
+              <div className="flex gap-1">
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExportConversation(conversations.find(c => c.id === exportMenuFor), format)}
+                    className="flex-1 px-2 py-1 text-xs text-neutral-200 bg-neutral-700 hover:bg-neutral-600 rounded transition-colors"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Documents List */}
+        <div className="flex-1 overflow-y-auto p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide">
+              Documents ({documentScope === null ? documents.length : `${scopedDocuments.length}/${documents.length}`})
+            </h2>
+            {documents.length > 0 && (
+              <div className="flex items-center gap-1 text-xs">
+                {selectedDocumentIds === null ? (
+                  <>
+                    <button
+                      onClick={() => setDocumentScope(null)}
+                      className="px-1.5 py-0.5 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors"
+                    >
+                      All
+                    </button>
+                    <button
+                      onClick={() => setDocumentScope([])}
+                      className="px-1.5 py-0.5 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors"
+                    >
+                      None
+                    </button>
+                    <button
+                      onClick={() => setSelectedDocumentIds([])}
+                      className="p-1 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors"
+                      title="Select documents"
+                    >
+                      <CheckSquare className="w-3.5 h-3.5" />
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => setSelectedDocumentIds(null)}
+                    className="px-1.5 py-0.5 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-700 rounded transition-colors"
+                  >
+                    Done
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Filter and Sort */}
+          {documents.length > 0 && (
+            <div className="space-y-2 mb-3">
+              <div className="relative">
+                <Search className="w-3.5 h-3.5 text-neutral-500 absolute left-2.5 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={documentQuery}
+                  onChange={(e) => setDocumentQuery(e.target.value)}
+                  placeholder="Filter documents"
+                  className="w-full bg-neutral-700 border border-neutral-600 rounded-lg pl-8 pr-2 py-1.5 text-sm text-white placeholder-neutral-500 focus:outline-none focus:border-neutral-500"
+                />
+              </div>
+              <div className="flex gap-2 text-xs">
+                <select
+                  value={activeTagFilter ?? ''}
+                  onChange={(e) => setTagFilter(e.target.value || null)}
+                  className="flex-1 min-w-0 bg-neutral-700 border border-neutral-600 rounded px-1.5 py-1 text-neutral-200 focus:outline-none"
+                >
+                  <option value="">All tags</option>
+                  {allTags.map(tag => (
+                    <option key={tag} value={tag}>{tag}</option>
+                  ))}
+                </select>
+                <select
+                  value={documentSort}
+                  onChange={(e) => setDocumentSort(e.target.value)}
+                  className="flex-1 min-w-0 bg-neutral-700 border border-neutral-600 rounded px-1.5 py-1 text-neutral-200 focus:outline-none"
+                >
+                  {Object.entries(DOCUMENT_SORTS).map(([key, sort]) => (
+                    <option key={key} value={key}>Sort: {sort.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          {/* Bulk Actions */}
+          {selectedDocumentIds !== null && (
+            <div className="mb-3 p-2 bg-neutral-800 border border-neutral-700 rounded-lg space-y-2 text-xs">
+              <div className="flex items-center justify-between text-neutral-300">
+                <span>{selectedDocumentIds.length} selected</span>
+                <button
+                  onClick={() => setSelectedDocumentIds(
+                    selectedDocumentIds.length === listedDocuments.length ? [] : listedDocuments.map(doc => doc.pdf_id)
+                  )}
+                  className="text-neutral-400 hover:text-neutral-100"
+                >
+                  {selectedDocumentIds.length === listedDocuments.length ? 'Clear' : 'Select all'}
+                </button>
+              </div>
+              <form onSubmit={handleBulkTag} className="flex gap-1">
+                <input
+                  type="text"
+                  value={bulkTag}
+                  onChange={(e) => setBulkTag(e.target.value)}
+                  placeholder="Tag or collection"
+                  list="document-tags"
+                  className="flex-1 min-w-0 bg-neutral-700 border border-neutral-600 rounded px-2 py-1 text-neutral-200 placeholder-neutral-500 focus:outline-none"
+                />
+                <datalist id="document-tags">
+                  {allTags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+                <button
+                  type="submit"
+                  disabled={!bulkTag.trim() || selectedDocumentIds.length === 0}
+                  className="flex items-center gap-1 px-2 py-1 bg-neutral-700 text-neutral-200 rounded hover:bg-neutral-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Tag className="w-3 h-3" />
+                  Tag
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteDocuments(selectedDocumentIds)}
+                  disabled={selectedDocumentIds.length === 0}
+                  className="flex items-center gap-1 px-2 py-1 bg-neutral-700 text-neutral-200 rounded hover:bg-neutral-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 className="w-3 h-3" />
+                  Delete
+                </button>
+              </form>
+            </div>
+          )}
+
+          {documents.length === 0 ? (
+            <div className="text-center py-8 text-neutral-500">
+              <FileText className="w-12 h-12 mx-auto mb-2 opacity-30" />
+              <p className="text-sm">No documents uploaded</p>
+            </div>
+          ) : listedDocuments.length === 0 ? (
+            <p className="text-xs text-neutral-500 py-2 text-center">No documents match</p>
+          ) : (
+            <div className="space-y-2">
+              {listedDocuments.map((doc) => (
+                <div
+                  key={doc.pdf_id}
+                  className={`group p-3 bg-neutral-700 rounded-lg hover:bg-neutral-650 transition-all border ${
+                    selectedDocumentIds?.includes(doc.pdf_id) ? 'border-neutral-400' : 'border-neutral-700'
+                  } ${isDocumentInScope(doc.pdf_id) || selectedDocumentIds !== null ? '' : 'opacity-50'}`}
+                >
+                  <div className="flex items-start gap-2">
+                    {selectedDocumentIds !== null ? (
+                      <input
+                        type="checkbox"
+                        checked={selectedDocumentIds.includes(doc.pdf_id)}
+                        onChange={() => toggleDocumentSelection(doc.pdf_id)}
+                        className="mt-1 flex-shrink-0 accent-neutral-100 cursor-pointer"
+                        title="Select"
+                      />
+                    ) : (
+                      <input
+                        type="checkbox"
+                        checked={isDocumentInScope(doc.pdf_id)}
+                        onChange={() => toggleDocumentScope(doc.pdf_id)}
+                        className="mt-1 flex-shrink-0 accent-neutral-300 cursor-pointer"
+                        title="Include in questions"
+                      />
+                    )}
+                    <SourceIcon doc={doc} className="w-4 h-4 text-neutral-400 mt-0.5 flex-shrink-0" />
+                    <button
+                      onClick={() => openDocument({ pdfId: doc.pdf_id, pdfName: doc.pdf_name })}
+                      className="flex-1 min-w-0 text-left"
+                      title="Open document"
+                    >
+                      <p className="text-sm font-medium text-white truncate">
+                        {doc.pdf_name}
+                      </p>
+                      <p className="text-xs text-neutral-400">
+                        {documentSourceType(doc) === 'pdf'
+                          ? `${doc.chunk_count} chunks • ${doc.pages?.length || 0} pages`
+                          : `${SOURCE_TYPES[documentSourceType(doc)].label} • ${doc.chunk_count} chunks`}
+                      </p>
+                    </button>
+                    <button
+                      onClick={() => openDocument({ pdfId: doc.pdf_id, pdfName: doc.pdf_name })}
+                      className={`p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-all ${
+                        viewerTarget?.pdfId === doc.pdf_id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+                      }`}
+                      title="View document"
+                    >
+                      <Eye className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => summarizeDocument(doc.pdf_id)}
+                      className="opacity-0 group-hover:opacity-100 p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-all"
+                      title="Summarize document"
+                    >
+                      <Sparkles className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setDetailsDocId(doc.pdf_id)}
+                      className={`p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-all ${
+                        detailsDocument?.pdf_id === doc.pdf_id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+                      }`}
+                      title="Document details"
+                    >
+                      <Info className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteDocuments([doc.pdf_id])}
+                      className="opacity-0 group-hover:opacity-100 p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-all"
+                      title="Delete document"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {documentTags[doc.pdf_id]?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2 pl-6">
+                      {documentTags[doc.pdf_id].map(tag => (
+                        <span
+                          key={tag}
+                          className="flex items-center gap-0.5 pl-1.5 pr-0.5 py-0.5 rounded-full bg-neutral-600 text-[11px] text-neutral-200"
+                        >
+                          <button onClick={() => setTagFilter(tag)} title={`Show only "${tag}"`}>
+                            {tag}
+                          </button>
+                          <button
+                            onClick={() => untagDocument(doc.pdf_id, tag)}
+                            className="p-0.5 text-neutral-400 hover:text-neutral-100 rounded-full"
+                            title="Remove tag"
+                          >
+                            <X className="w-2.5 h-2.5" />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Undo Delete Toast */}
+      {pendingDeletion && (
+        <div className={`${contained ? 'absolute' : 'fixed'} bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 bg-neutral-800 border border-neutral-600 rounded-lg shadow-2xl text-sm text-neutral-200`}>
+          <span>
+            {pendingDeletion.documents.length === 1
+              ? `Deleted "${pendingDeletion.documents[0].pdf_name}"`
+              : `Deleted ${pendingDeletion.documents.length} documents`}
+          </span>
+          <button
+            onClick={undoDeletion}
+            className="flex items-center gap-1 font-medium text-white hover:text-neutral-300"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Undo
+          </button>
+        </div>
+      )}
+
+      {/* Document Details Drawer */}
+      {detailsDocument && (
+        <div className={`${contained ? 'absolute' : 'fixed'} inset-y-0 right-0 z-40 w-[28rem] max-w-full border-l border-neutral-700 shadow-2xl`}>
+          <DocumentDetails
+            document={detailsDocument}
+            api={api}
+            summary={summaries[detailsDocument.pdf_id]}
+            isSummarizing={Boolean(summarizing[detailsDocument.pdf_id])}
+            onSummarize={() => requestSummary(detailsDocument.pdf_id)}
+            onClose={() => setDetailsDocId(null)}
+            onOpenChunk={(chunk) => openChunk(detailsDocument, chunk)}
+          />
+        </div>
+      )}
+    </>
+  );
+}
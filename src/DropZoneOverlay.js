@@ -0,0 +1,99 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { useChatbot } from './chatbotStore';
+import { isWebUrl } from './sourceTypes';
+
+/**
+ * Wraps `children` in an area that accepts dropped files, and links dragged
+ * from another tab, showing a glass overlay while something is dragged over.
+ *
+ * Props:
+ * - `className`: classes for the wrapping element, which is positioned so the
+ *   overlay can cover it
+ * - `onDrop({ files, url })`: called after a drop has been queued for upload
+ */
+export default function DropZoneOverlay({ className = '', onDrop, children }) {
+  const { uploadFiles, addUrl } = useChatbot();
+  const [isDragOver, setIsDragOver] = useState(false);
+  const dragCounter = useRef(0);
+
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter.current++;
+    if (e.dataTransfer.items && e.dataTransfer.items.length > 0) {
+      setIsDragOver(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter.current--;
+    if (dragCounter.current === 0) {
+      setIsDragOver(false);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+    dragCounter.current = 0;
+
+    const files = e.dataTransfer.files;
+    if (files && files.length > 0) {
+      uploadFiles(files);
+      onDrop?.({ files: Array.from(files), url: null });
+      return;
+    }
+
+    // Links dragged from another tab are added as web pages
+    const url = (e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain'))
+      .split(/\r?\n/)
+      .find(line => line && !line.startsWith('#'));
+    if (url && isWebUrl(url.trim()) && addUrl(url)) {
+      onDrop?.({ files: [], url: url.trim() });
+    }
+  };
+
+  return (
+    <div
+      className={`relative ${className}`}
+      onDragEnter={handleDragEnter}
+      onDragLeave={handleDragLeave}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
+      {/* Liquid Glass Drop Overlay */}
+      <div className={`liquid-glass-overlay ${isDragOver ? 'active' : ''}`}>
+        <div className="liquid-glass-backdrop" />
+        <div className="liquid-glass-shimmer" />
+        
+        {/* Drop Zone Content */}
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="drop-zone-content text-center">
+            <div 
+              className="drop-zone-ring inline-flex items-center justify-center w-28 h-28 rounded-full mb-6"
+            >
+              <Upload className="w-10 h-10 text-white/70" />
+            </div>
+            <h3 className="text-xl font-medium text-white/90 mb-2">
+              Drop files or links here
+            </h3>
+            <p className="text-white/50 text-sm">
+              Release to upload your documents
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+}
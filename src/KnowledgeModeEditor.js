@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Trash2, X } from 'lucide-react';
+import { KnowledgeModes, RETRIEVAL_BASES, DEFAULT_MODE, DEFAULT_TOP_K, MAX_TOP_K } from './knowledgeModes';
+
+const EMPTY_MODE = {
+  name: '',
+  icon: '',
+  description: '',
+  instructions: '',
+  base: DEFAULT_MODE,
+  topK: DEFAULT_TOP_K
+};
+
+const inputClassName = 'mt-1 w-full bg-neutral-800 border border-neutral-600 rounded-lg px-2 py-1.5 text-sm text-white placeholder-neutral-500 focus:outline-none focus:border-neutral-500';
+
+/**
+ * Form for a custom knowledge mode, in a dialog. `onSave(values)` may throw
+ * to reject the values; the message is shown in the form. `onDelete` is only
+ * offered for an existing `mode`. A `contained` dialog covers the nearest
+ * positioned element rather than the window.
+ */
+export default function KnowledgeModeEditor({ mode, contained = false, onSave, onDelete, onClose }) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_MODE, ...mode }));
+  const [error, setError] = useState(null);
+
+  const setValue = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSave(values);
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the mode "${mode.name}"?`)) return;
+    onDelete();
+    onClose();
+  };
+
+  return (
+    <div className={`${contained ? 'absolute' : 'fixed'} inset-0 z-50 flex items-center justify-center bg-black/60 p-4`} onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-lg max-h-full flex flex-col bg-neutral-900 border border-neutral-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Editor Header */}
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-neutral-700">
+          <SlidersHorizontal className="w-5 h-5 text-neutral-300" />
+          <h2 className="flex-1 text-base font-semibold text-white">{mode ? 'Edit mode' : 'New knowledge mode'}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-3">
+          <div className="flex gap-2">
+            <label className="w-16 text-xs text-neutral-400">
+              Icon
+              <input
+                type="text"
+                value={values.icon}
+                onChange={(e) => setValue('icon', e.target.value)}
+                placeholder="✨"
+                maxLength={4}
+                className={`${inputClassName} text-center`}
+              />
+            </label>
+            <label className="flex-1 text-xs text-neutral-400">
+              Name
+              <input
+                type="text"
+                autoFocus
+                value={values.name}
+                onChange={(e) => setValue('name', e.target.value)}
+                placeholder="Legal review"
+                className={inputClassName}
+              />
+            </label>
+          </div>
+
+          <label className="block text-xs text-neutral-400">
+            Description
+            <input
+              type="text"
+              value={values.description}
+              onChange={(e) => setValue('description', e.target.value)}
+              placeholder="Quotes verbatim, flags uncertainty"
+              className={inputClassName}
+            />
+          </label>
+
+          <label className="block text-xs text-neutral-400">
+            Instructions
+            <textarea
+              value={values.instructions}
+              onChange={(e) => setValue('instructions', e.target.value)}
+              placeholder="Quote the documents verbatim and say when a passage is ambiguous."
+              rows={5}
+              className={`${inputClassName} resize-y custom-scrollbar`}
+            />
+            <span className="block mt-1 text-neutral-500">Sent with every question as the mode's instructions to the model</span>
+          </label>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-neutral-400">
+              Retrieval
+              <select
+                value={values.base}
+                onChange={(e) => setValue('base', e.target.value)}
+                className={inputClassName}
+              >
+                {RETRIEVAL_BASES.map(base => (
+                  <option key={base} value={base}>{KnowledgeModes[base].icon} {KnowledgeModes[base].name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-neutral-400">
+              Chunks retrieved (top-k)
+              <input
+                type="number"
+                min={1}
+                max={MAX_TOP_K}
+                value={values.topK}
+                onChange={(e) => setValue('topK', e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+          </div>
+
+          {error && <p className="text-xs text-red-300">{error}</p>}
+        </div>
+
+        {/* Editor Actions */}
+        <div className="flex items-center gap-2 px-4 py-3 border-t border-neutral-700 text-sm">
+          {mode && onDelete && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="flex items-center gap-1 px-3 py-1.5 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="ml-auto px-3 py-1.5 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-3 py-1.5 bg-neutral-200 text-neutral-900 rounded-lg hover:bg-neutral-100 transition-colors font-medium"
+          >
+            Save mode
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { CheckCircle, Pencil, Plus } from 'lucide-react';
+import { useChatbot } from './chatbotStore';
+import KnowledgeModeEditor from './KnowledgeModeEditor';
+
+/**
+ * Picks the knowledge mode for the next questions, built-in or custom.
+ *
+ * Props:
+ * - `variant`: 'list' for stacked cards (default) or 'menu' for rows in a
+ *   popover menu. The list also creates and edits custom modes.
+ * - `onSelect(mode)`: called after the mode has changed
+ */
+export default function KnowledgeModeSelector({ variant = 'list', onSelect }) {
+  const { knowledgeModes, knowledgeMode, selectMode, saveCustomMode, deleteCustomMode, contained } = useChatbot();
+  // { id, mode } of the custom mode being edited; a new mode has no id
+  const [editing, setEditing] = useState(null);
+
+  const handleSelect = (mode) => {
+    selectMode(mode);
+    onSelect?.(mode);
+  };
+
+  if (variant === 'menu') {
+    return Object.entries(knowledgeModes).map(([key, mode]) => (
+      <button
+        key={key}
+        onClick={() => handleSelect(key)}
+        className={`w-full text-left p-3 transition-colors flex items-center gap-3 ${
+          knowledgeMode === key
+            ? 'bg-white/10 border-l-2 border-white/30'
+            : 'hover:bg-white/5'
+        }`}
+      >
+        <span className="text-xl">{mode.icon}</span>
+        <div className="flex-1 min-w-0">
+          <div className="font-medium text-sm text-neutral-200">{mode.name}</div>
+          {mode.description && <div className="text-xs text-neutral-400 truncate">{mode.description}</div>}
+        </div>
+        {knowledgeMode === key && (
+          <CheckCircle className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+        )}
+      </button>
+    ));
+  }
+
+  return (
+    <div className="space-y-2">
+      {Object.entries(knowledgeModes).map(([key, mode]) => (
+        <div
+          key={key}
+          className={`group flex items-center rounded-lg border transition-all ${
+            knowledgeMode === key
+              ? 'border-neutral-500 bg-neutral-700'
+              : 'border-neutral-700 hover:border-neutral-600 bg-neutral-800'
+          }`}
+        >
+          <button
+            onClick={() => handleSelect(key)}
+            className="flex-1 min-w-0 text-left p-3 flex items-center gap-2"
+          >
+            <span className="text-xl">{mode.icon}</span>
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-sm text-white truncate">{mode.name}</div>
+              {mode.description && <div className="text-xs text-neutral-400 truncate">{mode.description}</div>}
+            </div>
+            {knowledgeMode === key && (
+              <CheckCircle className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+            )}
+          </button>
+          {mode.custom && (
+            <button
+              onClick={() => setEditing({ id: key, mode })}
+              className="mr-2 p-1 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-600 rounded opacity-0 group-hover:opacity-100 transition-opacity"
+              title="Edit mode"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      <button
+        onClick={() => setEditing({ id: null, mode: null })}
+        className="w-full flex items-center justify-center gap-1 p-2 rounded-lg border border-dashed border-neutral-700 text-xs text-neutral-400 hover:text-neutral-200 hover:border-neutral-600 transition-colors"
+      >
+        <Plus className="w-3.5 h-3.5" />
+        Custom mode
+      </button>
+
+      {editing && (
+        <KnowledgeModeEditor
+          mode={editing.mode}
+          contained={contained}
+          onSave={(values) => (editing.id ? saveCustomMode(values, editing.id) : handleSelect(saveCustomMode(values)))}
+          onDelete={() => deleteCustomMode(editing.id)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { memo, useEffect, useMemo, useRef, useState } from 'react';
+import { Fragment, jsx, jsxs } from 'react/jsx-runtime';
+import { toJsxRuntime } from 'hast-util-to-jsx-runtime';
+import 'katex/dist/katex.min.css';
+import { createLruCache } from './lruCache';
+import { markdownToTree } from './markdownPipeline';
+import { StreamingAnswer } from './diagrams';
+
+// Parsed answers, so scrolling back to a message or re-rendering it is free.
+// Only finished answers are kept; the prefixes of a streaming one would push
+// the rest of the conversation out.
+const treeCache = createLruCache(500);
+
+let worker;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// Parses on the main thread when workers are unavailable (tests, old browsers)
+const renderLocally = (markdown) => Promise.resolve().then(() => markdownToTree(markdown));
+
+const getWorker = () => {
+  if (worker !== undefined) return worker;
+  try {
+    worker = new Worker(new URL('./markdown.worker.js', import.meta.url));
+  } catch {
+    worker = null;
+    return worker;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    pendingRequests.delete(data.id);
+    if (data.error) request?.reject(new Error(data.error));
+    else request?.resolve(data.tree);
+  };
+  // A worker that failed to load is abandoned; its requests are redone here
+  worker.onerror = () => {
+    worker.terminate();
+    worker = null;
+    pendingRequests.forEach(({ markdown, resolve, reject }) => renderLocally(markdown).then(resolve, reject));
+    pendingRequests.clear();
+  };
+  return worker;
+};
+
+const renderMarkdown = (markdown) => {
+  const target = typeof Worker === 'undefined' ? null : getWorker();
+  return target
+    ? new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      pendingRequests.set(id, { markdown, resolve, reject });
+      target.postMessage({ id, markdown });
+    })
+    : renderLocally(markdown);
+};
+
+/**
+ * Parsed tree for `markdown`, or null until the first parse finishes. While
+ * an answer is `streaming` in, the previous tree stays on screen and only the
+ * newest text is parsed once the running parse is done.
+ */
+function useMarkdownTree(markdown, streaming) {
+  const [rendered, setRendered] = useState(() => ({ tree: treeCache.get(markdown) ?? null, failed: false }));
+  const latestRef = useRef(markdown);
+  const streamingRef = useRef(streaming);
+  const busyRef = useRef(false);
+  const mountedRef = useRef(false);
+  latestRef.current = markdown;
+  streamingRef.current = streaming;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Also runs when streaming ends, so the final text is parsed and cached
+  useEffect(() => {
+    if (busyRef.current) return;
+
+    const render = (text) => {
+      const cached = treeCache.get(text);
+      if (cached) {
+        setRendered(prev => (prev.tree === cached ? prev : { tree: cached, failed: false }));
+        return;
+      }
+
+      busyRef.current = true;
+      renderMarkdown(text)
+        .then(tree => {
+          if (!streamingRef.current && text === latestRef.current) treeCache.set(text, tree);
+          return { tree, failed: false };
+        }, (error) => {
+          console.error('Failed to render markdown:', error);
+          return { tree: null, failed: true };
+        })
+        .then(result => {
+          busyRef.current = false;
+          if (!mountedRef.current) return;
+          setRendered(result);
+          if (latestRef.current !== text) render(latestRef.current);
+        });
+    };
+
+    render(markdown);
+  }, [markdown, streaming]);
+
+  return rendered;
+}
+
+/**
+ * Renders an answer's markdown (GFM and KaTeX math) with the given
+ * react-markdown style `components`. Parsing happens in a Web Worker and is
+ * cached once the answer is no longer `streaming`, so long conversations
+ * don't slow down typing. Diagrams are drawn once it is complete.
+ */
+function MarkdownContent({ markdown, components, streaming = false }) {
+  const { tree, failed } = useMarkdownTree(markdown, streaming);
+
+  const content = useMemo(() => tree && toJsxRuntime(tree, {
+    Fragment,
+    jsx,
+    jsxs,
+    components,
+    ignoreInvalidStyle: true,
+    passKeys: true,
+    passNode: true
+  }), [tree, components]);
+
+  if (failed) return <p className="whitespace-pre-wrap">{markdown}</p>;
+  return <StreamingAnswer.Provider value={streaming}>{content}</StreamingAnswer.Provider>;
+}
+
+export default memo(MarkdownContent);
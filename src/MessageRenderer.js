@@ -0,0 +1,599 @@
+import React, { memo, useMemo, useState } from 'react';
+import { FileText, AlertCircle, CheckCircle, BookOpen, ChevronDown, Eye, History, Pencil, RefreshCw, Square, ChevronLeft, ChevronRight, Columns } from 'lucide-react';
+import { MarkdownComponents } from './markdownComponents';
+import MarkdownContent from './MarkdownContent';
+import { citationAnchor, parseCitationAnchor, normalizeSource, linkCitationMarkers, findMatchingPassage } from './citations';
+import { useChatbot } from './chatbotStore';
+
+// Chunk text with the passage that best matches the answer highlighted
+function HighlightedPassage({ text, answer }) {
+  const passage = useMemo(() => findMatchingPassage(text, answer), [text, answer]);
+
+  if (!passage) return text;
+
+  return (
+    <>
+      {text.slice(0, passage.start)}
+      <mark className="bg-amber-300/25 text-neutral-100 rounded px-0.5">
+        {text.slice(passage.start, passage.end)}
+      </mark>
+      {text.slice(passage.end)}
+    </>
+  );
+}
+
+// Expandable list of the sources an answer was built from
+function CitationsPanel({ message, sources, activeCitation, onOpenSource }) {
+  return (
+    <div className="mt-3 space-y-2">
+      {sources.map((source) => {
+        const anchor = citationAnchor(message.id, source.number);
+        return (
+          <div
+            key={anchor}
+            id={anchor}
+            className={`rounded-lg border p-3 transition-colors ${
+              activeCitation === anchor
+                ? 'border-neutral-400 bg-neutral-700/60'
+                : 'border-neutral-700 bg-neutral-800/60'
+            }`}
+          >
+            <div className="flex items-center gap-2 text-xs text-neutral-300 mb-1">
+              <span className="font-semibold text-neutral-100">[{source.number}]</span>
+              <FileText className="w-3 h-3 flex-shrink-0" />
+              <span className="truncate">{source.pdfName}</span>
+              {source.page != null && (
+                <span className="text-neutral-400 flex-shrink-0">• p. {source.page}</span>
+              )}
+              <button
+                onClick={() => onOpenSource(source)}
+                className="ml-auto flex items-center gap-1 px-1.5 py-0.5 text-neutral-400 hover:text-neutral-100 hover:bg-neutral-600 rounded transition-colors flex-shrink-0"
+                title="Show in document"
+              >
+                <Eye className="w-3 h-3" />
+                View
+              </button>
+            </div>
+            {source.text && (
+              <p className="text-xs text-neutral-400 whitespace-pre-wrap max-h-40 overflow-y-auto custom-scrollbar">
+                <HighlightedPassage text={source.text} answer={message.content} />
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Navigates between alternate versions of a message ("2/3")
+function SiblingSwitcher({ index, count, onSelectSibling, label }) {
+  return (
+    <span className="flex items-center gap-0.5">
+      <button
+        onClick={() => onSelectSibling(-1)}
+        disabled={index <= 0}
+        className="p-0.5 hover:text-neutral-200 rounded disabled:opacity-30"
+        title={`Previous ${label}`}
+      >
+        <ChevronLeft className="w-3 h-3" />
+      </button>
+      {index + 1}/{count}
+      <button
+        onClick={() => onSelectSibling(1)}
+        disabled={index >= count - 1}
+        className="p-0.5 hover:text-neutral-200 rounded disabled:opacity-30"
+        title={`Next ${label}`}
+      >
+        <ChevronRight className="w-3 h-3" />
+      </button>
+    </span>
+  );
+}
+
+// Message components are memoized and get handlers that take the message, so
+// typing or streaming elsewhere doesn't re-render the whole conversation
+
+// User question; editing it resubmits as a new branch next to the original
+const UserMessage = memo(function UserMessage({
+  message,
+  modes,
+  siblingIndex,
+  siblingCount,
+  isLoading,
+  defaultMode,
+  contextHighlighted,
+  onToggleContext,
+  onEdit,
+  onSelectSibling
+}) {
+  // Edits start from the mode the question was asked in, while it still exists
+  const askedMode = modes[message.knowledgeMode] ? message.knowledgeMode : defaultMode;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+  const [mode, setMode] = useState(askedMode);
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setMode(askedMode);
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    if (!draft.trim()) return;
+    setIsEditing(false);
+    onEdit(message, draft, mode);
+  };
+
+  if (isEditing) {
+    return (
+      <div className="flex flex-col items-end gap-2">
+        <textarea
+          autoFocus
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              submitEdit();
+            } else if (e.key === 'Escape') {
+              setIsEditing(false);
+            }
+          }}
+          rows={Math.min(8, Math.max(2, draft.split('\n').length))}
+          className="w-full max-w-2xl rounded-2xl px-4 py-3 bg-neutral-700 text-neutral-100 border border-neutral-500 focus:outline-none resize-none custom-scrollbar"
+        />
+        <div className="flex items-center gap-2 text-xs">
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="bg-neutral-800 border border-neutral-600 rounded-lg px-2 py-1 text-neutral-200 focus:outline-none"
+            title="Knowledge mode for the edited question"
+          >
+            {Object.entries(modes).map(([key, option]) => (
+              <option key={key} value={key}>{option.icon} {option.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setIsEditing(false)}
+            className="px-3 py-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={submitEdit}
+            disabled={!draft.trim() || isLoading}
+            className="px-3 py-1 bg-neutral-200 text-neutral-900 rounded-lg hover:bg-neutral-100 transition-colors disabled:opacity-30"
+          >
+            Send as new branch
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="group flex flex-col items-end gap-1">
+      <div className="rounded-2xl px-4 py-3 w-fit max-w-2xl bg-neutral-700 text-neutral-100 border border-neutral-600">
+        <div className="whitespace-pre-wrap">{message.content}</div>
+      </div>
+      <div className="flex items-center gap-3 text-xs text-neutral-500">
+        {message.contextMessageIds?.length > 0 && (
+          <button
+            onClick={() => onToggleContext(message.id)}
+            className={`flex items-center gap-1 transition-colors ${
+              contextHighlighted ? 'text-blue-300' : 'hover:text-neutral-300'
+            }`}
+            title="Highlight the messages sent as context"
+          >
+            <History className="w-3 h-3" />
+            {message.contextMessageIds.length} earlier messages sent as context (~{message.contextTokens} tokens)
+          </button>
+        )}
+        {siblingCount > 1 && (
+          <SiblingSwitcher
+            index={siblingIndex}
+            count={siblingCount}
+            onSelectSibling={(offset) => onSelectSibling(message, offset)}
+            label="branch"
+          />
+        )}
+        <button
+          onClick={startEditing}
+          disabled={isLoading}
+          className="flex items-center gap-1 opacity-0 group-hover:opacity-100 hover:text-neutral-300 transition-opacity disabled:hidden"
+          title="Edit and resubmit"
+        >
+          <Pencil className="w-3 h-3" />
+          Edit
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// Assistant answer with its metadata footer, citations and alternates
+const AssistantMessage = memo(function AssistantMessage({
+  message,
+  modes,
+  siblingIndex,
+  siblingCount,
+  isLoading,
+  citationsExpanded,
+  onToggleCitations,
+  activeCitation,
+  onOpenSource,
+  citationMarkdownComponents,
+  onRegenerate,
+  onCompare,
+  onSelectSibling
+}) {
+  const [showRegenerateMenu, setShowRegenerateMenu] = useState(false);
+  const sources = (message.metadata?.sources || []).map(normalizeSource);
+  const mode = message.metadata?.mode;
+
+  return (
+    <div className="w-fit max-w-2xl">
+      <div className="max-w-none text-neutral-100">
+        {message.content ? (
+          <MarkdownContent
+            markdown={linkCitationMarkers(message.content, message.id, sources.length)}
+            components={sources.length > 0 ? citationMarkdownComponents : MarkdownComponents}
+            streaming={message.streaming}
+          />
+        ) : message.stopped && (
+          <p className="italic text-neutral-400">Stopped before an answer was generated.</p>
+        )}
+        {message.streaming && <span className="typing-cursor" />}
+      </div>
+
+      {!message.streaming && (
+        <div className="mt-3 pt-3 border-t border-neutral-700/50 text-xs text-neutral-400">
+          <div className="flex items-center gap-4 flex-wrap">
+            {siblingCount > 1 && (
+              <SiblingSwitcher
+                index={siblingIndex}
+                count={siblingCount}
+                onSelectSibling={(offset) => onSelectSibling(message, offset)}
+                label="version"
+              />
+            )}
+            {mode && (
+              <span className="flex items-center gap-1">
+                {modes[mode]?.icon}
+                {modes[mode]?.name || mode}
+              </span>
+            )}
+            {message.stopped && (
+              <span className="flex items-center gap-1 text-neutral-300">
+                <Square className="w-3 h-3" />
+                Stopped
+              </span>
+            )}
+            {message.incomplete && (
+              <span className="flex items-center gap-1 text-neutral-300" title="The connection was lost before the answer was complete">
+                <AlertCircle className="w-3 h-3" />
+                Incomplete
+              </span>
+            )}
+            {sources.length > 0 ? (
+              <button
+                onClick={() => onToggleCitations(message.id)}
+                className="flex items-center gap-1 hover:text-neutral-200 transition-colors"
+              >
+                <BookOpen className="w-3 h-3" />
+                {sources.length} source{sources.length !== 1 ? 's' : ''}
+                <ChevronDown className={`w-3 h-3 transition-transform ${citationsExpanded ? 'rotate-180' : ''}`} />
+              </button>
+            ) : message.metadata?.searchResults > 0 && (
+              <span>{message.metadata.searchResults} sources</span>
+            )}
+            {message.metadata?.tokenUsage && (
+              <span>{message.metadata.tokenUsage.total} tokens</span>
+            )}
+
+            {/* Regenerate */}
+            <span className="relative flex items-center">
+              <button
+                onClick={() => onRegenerate(message, mode)}
+                disabled={isLoading}
+                className="flex items-center gap-1 px-1 py-0.5 hover:text-neutral-200 rounded-l transition-colors disabled:opacity-30"
+                title="Regenerate answer"
+              >
+                <RefreshCw className="w-3 h-3" />
+                Regenerate
+              </button>
+              <button
+                onClick={() => setShowRegenerateMenu(!showRegenerateMenu)}
+                disabled={isLoading}
+                className="p-0.5 hover:text-neutral-200 rounded-r transition-colors disabled:opacity-30"
+                title="Regenerate with another mode"
+              >
+                <ChevronDown className="w-3 h-3" />
+              </button>
+              {showRegenerateMenu && (
+                <div className="absolute top-full left-0 mt-1 z-20 min-w-[200px] rounded-xl overflow-hidden bg-neutral-800 border border-neutral-700 shadow-2xl">
+                  {Object.entries(modes).map(([key, option]) => (
+                    <button
+                      key={key}
+                      onClick={() => {
+                        setShowRegenerateMenu(false);
+                        onRegenerate(message, key);
+                      }}
+                      className="w-full text-left px-3 py-2 flex items-center gap-2 text-neutral-200 hover:bg-neutral-700 transition-colors"
+                    >
+                      <span>{option.icon}</span>
+                      <span className="flex-1">{option.name}</span>
+                      {key === mode && <CheckCircle className="w-3 h-3 text-neutral-400" />}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => {
+                      setShowRegenerateMenu(false);
+                      onCompare(message);
+                    }}
+                    className="w-full text-left px-3 py-2 flex items-center gap-2 text-neutral-200 hover:bg-neutral-700 transition-colors border-t border-neutral-700"
+                  >
+                    <Columns className="w-3 h-3" />
+                    <span className="flex-1">Compare modes</span>
+                  </button>
+                </div>
+              )}
+            </span>
+          </div>
+
+          {citationsExpanded && (
+            <CitationsPanel
+              message={message}
+              sources={sources}
+              activeCitation={activeCitation}
+              onOpenSource={onOpenSource}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Answers to one question under several knowledge modes, side by side
+const ComparisonView = memo(function ComparisonView({
+  message,
+  modes,
+  variants,
+  siblingIndex,
+  siblingCount,
+  citationMarkdownComponents,
+  expandedCitations,
+  onToggleCitations,
+  activeCitation,
+  onOpenSource,
+  onSelectAnswer,
+  onSelectSibling
+}) {
+  const finished = variants.filter(variant => !variant.streaming && !variant.error && variant.metadata?.tokenUsage);
+  const cheapest = finished.length > 1
+    ? finished.reduce((best, variant) => (variant.metadata.tokenUsage.total < best.metadata.tokenUsage.total ? variant : best))
+    : null;
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center gap-3 mb-3 text-xs text-neutral-400">
+        <Columns className="w-3.5 h-3.5" />
+        <span>Comparing {variants.length} modes</span>
+        {siblingCount > variants.length && (
+          <SiblingSwitcher
+            index={siblingIndex}
+            count={siblingCount}
+            onSelectSibling={(offset) => onSelectSibling(message, offset)}
+            label="version"
+          />
+        )}
+      </div>
+
+      <div className={`grid gap-3 ${variants.length > 2 ? 'lg:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {variants.map(variant => {
+          const mode = variant.metadata?.mode;
+          const sources = (variant.metadata?.sources || []).map(normalizeSource);
+          const sourceCount = sources.length || variant.metadata?.searchResults || 0;
+          const isActive = variant.id === message.id;
+
+          return (
+            <div
+              key={variant.id}
+              className={`flex flex-col min-w-0 rounded-2xl border p-4 ${
+                isActive ? 'border-neutral-500 bg-neutral-800/80' : 'border-neutral-700 bg-neutral-800/40'
+              }`}
+            >
+              <div className="flex items-center gap-2 mb-3 text-sm font-medium text-neutral-200">
+                <span>{modes[mode]?.icon}</span>
+                <span className="flex-1">{modes[mode]?.name || mode}</span>
+              </div>
+
+              <div className="flex-1 min-w-0 text-sm text-neutral-100 overflow-x-auto">
+                {variant.error ? (
+                  <p className="flex items-start gap-2 text-neutral-300">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                    {variant.error}
+                  </p>
+                ) : variant.content ? (
+                  <MarkdownContent
+                    markdown={linkCitationMarkers(variant.content, variant.id, sources.length)}
+                    components={sources.length > 0 ? citationMarkdownComponents : MarkdownComponents}
+                    streaming={variant.streaming}
+                  />
+                ) : variant.stopped ? (
+                  <p className="italic text-neutral-400">Stopped before an answer was generated.</p>
+                ) : !variant.streaming && (
+                  <p className="italic text-neutral-400">No answer.</p>
+                )}
+                {variant.streaming && <span className="typing-cursor" />}
+              </div>
+
+              {!variant.streaming && (
+                <div className="mt-3 pt-3 border-t border-neutral-700/50 flex items-center gap-3 flex-wrap text-xs text-neutral-400">
+                  {sources.length > 0 ? (
+                    <button
+                      onClick={() => onToggleCitations(variant.id)}
+                      className="flex items-center gap-1 hover:text-neutral-200 transition-colors"
+                    >
+                      <BookOpen className="w-3 h-3" />
+                      {sourceCount} source{sourceCount !== 1 ? 's' : ''}
+                      <ChevronDown className={`w-3 h-3 transition-transform ${expandedCitations[variant.id] ? 'rotate-180' : ''}`} />
+                    </button>
+                  ) : (
+                    <span className="flex items-center gap-1">
+                      <BookOpen className="w-3 h-3" />
+                      {sourceCount} source{sourceCount !== 1 ? 's' : ''}
+                    </span>
+                  )}
+                  {variant.metadata?.tokenUsage && (
+                    <span className={cheapest?.id === variant.id ? 'text-neutral-200' : ''}>
+                      {variant.metadata.tokenUsage.total} tokens{cheapest?.id === variant.id && ' • fewest'}
+                    </span>
+                  )}
+                  {!variant.error && (
+                    isActive ? (
+                      <span className="ml-auto flex items-center gap-1 text-neutral-200">
+                        <CheckCircle className="w-3 h-3" />
+                        In conversation
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => onSelectAnswer(variant)}
+                        className="ml-auto hover:text-neutral-200 transition-colors"
+                        title="Continue the conversation from this answer"
+                      >
+                        Use this answer
+                      </button>
+                    )
+                  )}
+                </div>
+              )}
+
+              {expandedCitations[variant.id] && (
+                <CitationsPanel
+                  message={variant}
+                  sources={sources}
+                  activeCitation={activeCitation}
+                  onOpenSource={onOpenSource}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+/**
+ * One message of the conversation: a question, an answer or a comparison of
+ * answers, with its branch switcher, citations and actions.
+ *
+ * Props:
+ * - `message`: a message from the store's `thread`
+ */
+function MessageRenderer({ message }) {
+  const {
+    isLoading,
+    knowledgeModes,
+    knowledgeMode,
+    siblingPositions,
+    comparisonVariants,
+    highlightedContextOf,
+    highlightedContextIds,
+    expandedCitations,
+    activeCitation,
+    openCitation,
+    toggleContextHighlight,
+    toggleCitations,
+    editQuestion,
+    selectSibling,
+    regenerate,
+    compare,
+    openSource,
+    selectAnswer
+  } = useChatbot();
+  const position = siblingPositions.get(message.id) || { index: 0, count: 1 };
+
+  // Inline [n] markers open the citations panel and jump to the matching source
+  const citationMarkdownComponents = useMemo(() => ({
+    ...MarkdownComponents,
+    a: ({ children, href }) => {
+      const citation = parseCitationAnchor(href);
+      if (!citation) return MarkdownComponents.a({ children, href });
+
+      return (
+        <sup>
+          <a
+            href={href}
+            onClick={(e) => {
+              e.preventDefault();
+              openCitation(citation.messageId, href.slice(1));
+            }}
+            className="text-blue-400 hover:text-blue-300 no-underline px-0.5"
+          >
+            [{children}]
+          </a>
+        </sup>
+      );
+    }
+  }), [openCitation]);
+
+  return (
+    <div
+      className={`rounded-2xl transition-shadow ${
+        highlightedContextIds.has(message.id) ? 'ring-1 ring-blue-400/50 ring-offset-4 ring-offset-neutral-900' : ''
+      }`}
+    >
+      {message.role === 'user' ? (
+        <UserMessage
+          message={message}
+          modes={knowledgeModes}
+          siblingIndex={position.index}
+          siblingCount={position.count}
+          isLoading={isLoading}
+          defaultMode={knowledgeMode}
+          contextHighlighted={highlightedContextOf === message.id}
+          onToggleContext={toggleContextHighlight}
+          onEdit={editQuestion}
+          onSelectSibling={selectSibling}
+        />
+      ) : message.comparisonGroup ? (
+        <ComparisonView
+          message={message}
+          modes={knowledgeModes}
+          variants={comparisonVariants.get(message.id) || [message]}
+          siblingIndex={position.index}
+          siblingCount={position.count}
+          citationMarkdownComponents={citationMarkdownComponents}
+          expandedCitations={expandedCitations}
+          onToggleCitations={toggleCitations}
+          activeCitation={activeCitation?.anchor}
+          onOpenSource={openSource}
+          onSelectAnswer={selectAnswer}
+          onSelectSibling={selectSibling}
+        />
+      ) : (
+        <AssistantMessage
+          message={message}
+          modes={knowledgeModes}
+          siblingIndex={position.index}
+          siblingCount={position.count}
+          isLoading={isLoading}
+          citationsExpanded={!!expandedCitations[message.id]}
+          onToggleCitations={toggleCitations}
+          activeCitation={activeCitation?.anchor}
+          onOpenSource={openSource}
+          citationMarkdownComponents={citationMarkdownComponents}
+          onRegenerate={regenerate}
+          onCompare={compare}
+          onSelectSibling={selectSibling}
+        />
+      )}
+    </div>
+  );
+}
+
+export default MessageRenderer;
@@ -0,0 +1,330 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { X, Loader, ZoomIn, ZoomOut, ChevronUp, ChevronDown, AlertCircle } from 'lucide-react';
+import pdfjsLib from './pdfjs';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+
+// Page text and chunk text rarely agree on whitespace, so compare without it
+const compact = (text) => text.toLowerCase().replace(/\s+/g, '');
+
+// Returns the indices of the page's text items that make up `chunkText`.
+// Looks for the chunk's opening and closing text in the page and keeps
+// everything in between; chunks that start or end on another page still
+// match the part that is on this one.
+export const findHighlightItems = (items, chunkText, probeLength = 40) => {
+  const chunk = compact(chunkText || '');
+  if (chunk.length < 8) return [];
+
+  let pageText = '';
+  const owners = [];
+  items.forEach((item, index) => {
+    const text = compact(item.str || '');
+    pageText += text;
+    for (let i = 0; i < text.length; i++) owners.push(index);
+  });
+
+  const head = chunk.slice(0, probeLength);
+  const tail = chunk.slice(-probeLength);
+  let start = pageText.indexOf(head);
+  let end = start === -1 ? -1 : start + chunk.length - 1;
+
+  if (start === -1) {
+    // Chunk begins on a previous page: find where its tail ends on this one
+    const tailAt = pageText.indexOf(tail);
+    if (tailAt === -1) return [];
+    start = 0;
+    end = tailAt + tail.length - 1;
+  }
+  end = Math.min(end, owners.length - 1);
+
+  const indices = new Set();
+  for (let i = start; i <= end; i++) indices.add(owners[i]);
+  return [...indices];
+};
+
+function PDFPage({ pdf, pageNumber, scale, defaultSize, highlightText, focusHighlight, registerRef }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const firstHighlightRef = useRef(null);
+  const [isNearViewport, setIsNearViewport] = useState(false);
+  const [size, setSize] = useState(null);
+  const [highlightRects, setHighlightRects] = useState([]);
+
+  useEffect(() => {
+    registerRef(pageNumber, containerRef.current);
+  }, [pageNumber, registerRef]);
+
+  // Only render pages close to the viewport; long PDFs would stall otherwise
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setIsNearViewport(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: '800px 0px' }
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isNearViewport && !focusHighlight) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    const render = async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+
+      const viewport = page.getViewport({ scale });
+      const outputScale = window.devicePixelRatio || 1;
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${Math.floor(viewport.width)}px`;
+      canvas.style.height = `${Math.floor(viewport.height)}px`;
+      setSize({ width: viewport.width, height: viewport.height });
+
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+      });
+
+      if (highlightText) {
+        const content = await page.getTextContent();
+        if (cancelled) return;
+
+        const rects = findHighlightItems(content.items, highlightText).map((index) => {
+          const item = content.items[index];
+          const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+          const fontHeight = Math.hypot(tx[2], tx[3]);
+          return {
+            left: tx[4],
+            top: tx[5] - fontHeight,
+            width: item.width * scale,
+            height: fontHeight,
+          };
+        });
+        setHighlightRects(rects);
+      } else {
+        setHighlightRects([]);
+      }
+
+      try {
+        await renderTask.promise;
+      } catch (error) {
+        if (error?.name !== 'RenderingCancelledException') {
+          console.error(`Failed to render page ${pageNumber}:`, error);
+        }
+      }
+    };
+
+    render().catch(error => console.error(`Failed to load page ${pageNumber}:`, error));
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, scale, highlightText, isNearViewport, focusHighlight]);
+
+  useEffect(() => {
+    if (focusHighlight && highlightRects.length > 0) {
+      firstHighlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusHighlight, highlightRects]);
+
+  const width = size?.width ?? defaultSize.width * scale;
+  const height = size?.height ?? defaultSize.height * scale;
+
+  return (
+    <div
+      ref={containerRef}
+      data-page={pageNumber}
+      className="relative mx-auto bg-white shadow-lg"
+      style={{ width, height }}
+    >
+      <canvas ref={canvasRef} className="block" />
+      {highlightRects.map((rect, index) => (
+        <div
+          key={index}
+          ref={index === 0 ? firstHighlightRef : null}
+          className="absolute bg-amber-300/40 mix-blend-multiply rounded-sm pointer-events-none"
+          style={rect}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Split-pane PDF viewer.
+ * `target` is `{ pdfId, pdfName, url, page, highlight, requestedAt }`; a new
+ * `requestedAt` scrolls back to `page` even when the document is already open.
+ */
+export default function PDFViewer({ target, onClose }) {
+  const [pdf, setPdf] = useState(null);
+  const [defaultSize, setDefaultSize] = useState(null);
+  const [scale, setScale] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [loadError, setLoadError] = useState(null);
+
+  const scrollRef = useRef(null);
+  const pageRefs = useRef({});
+
+  const registerRef = useCallback((pageNumber, element) => {
+    pageRefs.current[pageNumber] = element;
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadingTask = pdfjsLib.getDocument({ url: target.url });
+
+    setPdf(null);
+    setScale(null);
+    setLoadError(null);
+    pageRefs.current = {};
+
+    loadingTask.promise
+      .then(async (doc) => {
+        const firstPage = await doc.getPage(1);
+        if (cancelled) return;
+
+        const viewport = firstPage.getViewport({ scale: 1 });
+        const available = (scrollRef.current?.clientWidth || viewport.width) - 32;
+        setDefaultSize({ width: viewport.width, height: viewport.height });
+        setScale(Math.min(MAX_SCALE, Math.max(MIN_SCALE, available / viewport.width)));
+        setPdf(doc);
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          console.error('Failed to load PDF:', error);
+          setLoadError(error.message || 'Failed to load PDF');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      loadingTask.destroy();
+    };
+  }, [target.url]);
+
+  // Jump to the requested page once the document is laid out
+  useEffect(() => {
+    if (!pdf || !scale || !target.page) return;
+    const element = pageRefs.current[target.page];
+    if (element) {
+      element.scrollIntoView({ block: 'start' });
+      setCurrentPage(target.page);
+    }
+  }, [pdf, scale, target.page, target.requestedAt]);
+
+  const handleScroll = () => {
+    const container = scrollRef.current;
+    if (!container) return;
+    const probe = container.scrollTop + container.clientHeight / 3;
+    const visible = Object.entries(pageRefs.current).find(
+      ([, element]) => element && element.offsetTop <= probe && element.offsetTop + element.offsetHeight > probe
+    );
+    if (visible) setCurrentPage(Number(visible[0]));
+  };
+
+  const goToPage = (pageNumber) => {
+    if (!pdf || pageNumber < 1 || pageNumber > pdf.numPages) return;
+    pageRefs.current[pageNumber]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const zoom = (factor) => {
+    setScale(prev => Math.min(MAX_SCALE, Math.max(MIN_SCALE, prev * factor)));
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-900">
+      {/* Viewer Header */}
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-neutral-700 bg-neutral-800">
+        <p className="flex-1 min-w-0 text-sm font-medium text-white truncate" title={target.pdfName}>
+          {target.pdfName}
+        </p>
+        {pdf && (
+          <>
+            <button
+              onClick={() => goToPage(currentPage - 1)}
+              disabled={currentPage <= 1}
+              className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded disabled:opacity-30"
+              title="Previous page"
+            >
+              <ChevronUp className="w-4 h-4" />
+            </button>
+            <span className="text-xs text-neutral-400 whitespace-nowrap">
+              {currentPage} / {pdf.numPages}
+            </span>
+            <button
+              onClick={() => goToPage(currentPage + 1)}
+              disabled={currentPage >= pdf.numPages}
+              className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded disabled:opacity-30"
+              title="Next page"
+            >
+              <ChevronDown className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => zoom(1 / 1.2)}
+              className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+              title="Zoom out"
+            >
+              <ZoomOut className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => zoom(1.2)}
+              className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+              title="Zoom in"
+            >
+              <ZoomIn className="w-4 h-4" />
+            </button>
+          </>
+        )}
+        <button
+          onClick={onClose}
+          className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+          title="Close viewer"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Pages, positioned so their offsetTop is measured from the scroll container */}
+      <div ref={scrollRef} onScroll={handleScroll} className="relative flex-1 overflow-auto p-4 space-y-4">
+        {loadError ? (
+          <div className="flex items-center gap-2 text-sm text-neutral-300 p-4">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            {loadError}
+          </div>
+        ) : !pdf || !scale ? (
+          <div className="flex items-center justify-center gap-2 text-neutral-400 py-12">
+            <Loader className="w-4 h-4 animate-spin" />
+            <span className="text-sm">Loading document...</span>
+          </div>
+        ) : (
+          Array.from({ length: pdf.numPages }, (_, index) => index + 1).map((pageNumber) => (
+            <PDFPage
+              key={pageNumber}
+              pdf={pdf}
+              pageNumber={pageNumber}
+              scale={scale}
+              defaultSize={defaultSize}
+              highlightText={pageNumber === target.page ? target.highlight : null}
+              focusHighlight={pageNumber === target.page}
+              registerRef={registerRef}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
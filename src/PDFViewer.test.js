@@ -0,0 +1,26 @@
+import { findHighlightItems } from './PDFViewer';
+
+// pdf.js sets up its worker with import.meta, which jest cannot parse
+jest.mock('./pdfjs', () => ({}));
+
+const items = [
+  { str: 'Chapter 2' },
+  { str: 'Black holes form when massive' },
+  { str: 'stars collapse at the end of' },
+  { str: 'their lives.' },
+  { str: 'Neutron stars are smaller.' }
+];
+
+test('highlights every text item a chunk spans', () => {
+  expect(findHighlightItems(items, 'massive stars collapse at the end\nof their lives')).toEqual([1, 2, 3]);
+});
+
+test('highlights the part of a chunk that continues from the previous page', () => {
+  expect(findHighlightItems(items, 'An earlier page ended with: Chapter 2 Black holes form', 10)).toEqual([0, 1]);
+});
+
+test('highlights nothing when the chunk is not on the page', () => {
+  expect(findHighlightItems(items, 'Quasars are powered by accretion')).toEqual([]);
+  expect(findHighlightItems(items, 'short')).toEqual([]);
+  expect(findHighlightItems(items, null)).toEqual([]);
+});
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Slash, Trash2, X } from 'lucide-react';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description: '',
+  text: ''
+};
+
+const inputClassName = 'mt-1 w-full bg-neutral-800 border border-neutral-600 rounded-lg px-2 py-1.5 text-sm text-white placeholder-neutral-500 focus:outline-none focus:border-neutral-500';
+
+/**
+ * Form for a saved prompt template, in a dialog. `onSave(values)` may throw
+ * to reject the values; the message is shown in the form. `onDelete` is only
+ * passed for a template that was saved before. A `contained` dialog covers
+ * the nearest positioned element rather than the window.
+ */
+export default function PromptTemplateEditor({ template, contained = false, onSave, onDelete, onClose }) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_TEMPLATE, ...template }));
+  const [error, setError] = useState(null);
+
+  const setValue = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSave(values);
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the template /${template.name}?`)) return;
+    onDelete();
+    onClose();
+  };
+
+  return (
+    <div className={`${contained ? 'absolute' : 'fixed'} inset-0 z-50 flex items-center justify-center bg-black/60 p-4`} onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-lg max-h-full flex flex-col bg-neutral-900 border border-neutral-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Editor Header */}
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-neutral-700">
+          <Slash className="w-5 h-5 text-neutral-300" />
+          <h2 className="flex-1 text-base font-semibold text-white">{onDelete ? 'Edit template' : 'New prompt template'}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-3">
+          <label className="block text-xs text-neutral-400">
+            Command
+            <div className="flex items-center gap-1">
+              <span className="mt-1 text-sm text-neutral-500">/</span>
+              <input
+                type="text"
+                autoFocus
+                value={values.name}
+                onChange={(e) => setValue('name', e.target.value)}
+                placeholder="methods"
+                className={inputClassName}
+              />
+            </div>
+          </label>
+
+          <label className="block text-xs text-neutral-400">
+            Description
+            <input
+              type="text"
+              value={values.description}
+              onChange={(e) => setValue('description', e.target.value)}
+              placeholder="Compare how two papers were done"
+              className={inputClassName}
+            />
+          </label>
+
+          <label className="block text-xs text-neutral-400">
+            Prompt
+            <textarea
+              value={values.text}
+              onChange={(e) => setValue('text', e.target.value)}
+              placeholder="Compare the methodology of {{first paper}} and {{second paper}}."
+              rows={5}
+              className={`${inputClassName} resize-y custom-scrollbar`}
+            />
+            <span className="block mt-1 text-neutral-500">
+              {'Parts in {{double braces}} are asked for each time the template is used'}
+            </span>
+          </label>
+
+          {error && <p className="text-xs text-red-300">{error}</p>}
+        </div>
+
+        {/* Editor Actions */}
+        <div className="flex items-center gap-2 px-4 py-3 border-t border-neutral-700 text-sm">
+          {onDelete && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="flex items-center gap-1 px-3 py-1.5 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="ml-auto px-3 py-1.5 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-3 py-1.5 bg-neutral-200 text-neutral-900 rounded-lg hover:bg-neutral-100 transition-colors font-medium"
+          >
+            Save template
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+import React from 'react';
+import { SOURCE_TYPES, documentSourceType } from './sourceTypes';
+
+// Icon for the kind of source a document came from
+export default function SourceIcon({ doc, className }) {
+  const Icon = SOURCE_TYPES[documentSourceType(doc)].icon;
+  return <Icon className={className} />;
+}
@@ -0,0 +1,246 @@
+import React, { useMemo, useState } from 'react';
+import { X, BarChart3, Plus, Trash2 } from 'lucide-react';
+import { aggregateUsage, formatCost } from './usageStats';
+
+const formatTokens = (tokens) => tokens.toLocaleString();
+
+function StatCard({ label, value, detail }) {
+  return (
+    <div className="p-3 bg-neutral-800 border border-neutral-700 rounded-lg">
+      <div className="text-xs text-neutral-400">{label}</div>
+      <div className="text-lg font-semibold text-white">{value}</div>
+      {detail && <div className="text-xs text-neutral-500">{detail}</div>}
+    </div>
+  );
+}
+
+// Rows of label, tokens split, cost
+function UsageTable({ rows, onSelect }) {
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-neutral-400 text-left">
+          <th className="py-1 font-medium">Name</th>
+          <th className="py-1 font-medium text-right">Prompt</th>
+          <th className="py-1 font-medium text-right">Completion</th>
+          <th className="py-1 font-medium text-right">Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key} className="border-t border-neutral-800 text-neutral-200">
+            <td className="py-1.5 pr-2 max-w-[14rem] truncate">
+              {onSelect ? (
+                <button onClick={() => onSelect(row.key)} className="hover:text-white hover:underline truncate max-w-full text-left">
+                  {row.label}
+                </button>
+              ) : row.label}
+            </td>
+            <td className="py-1.5 text-right tabular-nums">{formatTokens(row.prompt)}</td>
+            <td className="py-1.5 text-right tabular-nums">{formatTokens(row.completion)}</td>
+            <td className="py-1.5 text-right tabular-nums">{formatCost(row.cost)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Token usage and estimated cost per conversation, knowledge mode and day,
+ * with the per-model prices and the conversation budget they are based on.
+ */
+export default function UsageDashboard({ conversations, settings, modes, contained = false, onChangeSettings, onSelectConversation, onClose }) {
+  const [newModel, setNewModel] = useState('');
+  const usage = useMemo(() => aggregateUsage(conversations, settings), [conversations, settings]);
+  const maxDailyCost = Math.max(...usage.byDay.map(day => day.cost), 0);
+
+  const setPrice = (model, field, value) => {
+    onChangeSettings({
+      ...settings,
+      prices: { ...settings.prices, [model]: { ...settings.prices[model], [field]: Math.max(0, Number(value) || 0) } }
+    });
+  };
+
+  const addModel = (e) => {
+    e.preventDefault();
+    const model = newModel.trim();
+    if (!model || settings.prices[model]) return;
+    onChangeSettings({ ...settings, prices: { ...settings.prices, [model]: { prompt: 0, completion: 0 } } });
+    setNewModel('');
+  };
+
+  const removeModel = (model) => {
+    const { [model]: removed, ...prices } = settings.prices;
+    onChangeSettings({ ...settings, prices, model: settings.model === model ? Object.keys(prices)[0] : settings.model });
+  };
+
+  return (
+    <div className={`${contained ? 'absolute' : 'fixed'} inset-0 z-50 flex items-center justify-center bg-black/60 p-4`} onClick={onClose}>
+      <div
+        className="w-full max-w-3xl max-h-full flex flex-col bg-neutral-900 border border-neutral-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Dashboard Header */}
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-neutral-700">
+          <BarChart3 className="w-5 h-5 text-neutral-300" />
+          <h2 className="flex-1 text-base font-semibold text-white">Token usage</h2>
+          <button
+            onClick={onClose}
+            className="p-1 text-neutral-300 hover:text-neutral-100 hover:bg-neutral-700 rounded"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-6">
+          {/* Totals */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <StatCard label="Estimated cost" value={formatCost(usage.total.cost)} detail={`${usage.total.answers} answers`} />
+            <StatCard label="Total tokens" value={formatTokens(usage.total.total)} />
+            <StatCard label="Prompt tokens" value={formatTokens(usage.total.prompt)} />
+            <StatCard label="Completion tokens" value={formatTokens(usage.total.completion)} />
+          </div>
+
+          {/* Per Day */}
+          {usage.byDay.length > 0 && (
+            <section>
+              <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">Per day</h3>
+              <div className="space-y-1">
+                {usage.byDay.slice(-14).map(day => (
+                  <div key={day.date} className="flex items-center gap-2 text-xs">
+                    <span className="w-20 text-neutral-400 tabular-nums">{day.date}</span>
+                    <div className="flex-1 h-2 bg-neutral-800 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-neutral-300"
+                        style={{ width: `${maxDailyCost > 0 ? (day.cost / maxDailyCost) * 100 : 0}%` }}
+                      />
+                    </div>
+                    <span className="w-28 text-right text-neutral-300 tabular-nums">
+                      {formatCost(day.cost)} • {formatTokens(day.total)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {/* Per Mode */}
+          <section>
+            <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">Per knowledge mode</h3>
+            <UsageTable
+              rows={Object.entries(usage.byMode).map(([mode, totals]) => ({
+                key: mode,
+                label: modes[mode] ? `${modes[mode].icon} ${modes[mode].name}` : mode,
+                ...totals
+              }))}
+            />
+          </section>
+
+          {/* Per Conversation */}
+          <section>
+            <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">Per conversation</h3>
+            {usage.byConversation.length === 0 ? (
+              <p className="text-xs text-neutral-500">No token usage recorded yet</p>
+            ) : (
+              <UsageTable
+                rows={usage.byConversation.map(conversation => ({ key: conversation.id, label: conversation.title, ...conversation }))}
+                onSelect={onSelectConversation}
+              />
+            )}
+          </section>
+
+          {/* Pricing and Budget */}
+          <section>
+            <h3 className="text-xs font-semibold text-neutral-400 uppercase tracking-wide mb-2">Prices (USD per 1M tokens)</h3>
+            <table className="w-full text-xs mb-2">
+              <thead>
+                <tr className="text-neutral-400 text-left">
+                  <th className="py-1 font-medium">Model</th>
+                  <th className="py-1 font-medium">Prompt</th>
+                  <th className="py-1 font-medium">Completion</th>
+                  <th className="py-1 font-medium">Default</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(settings.prices).map(([model, price]) => (
+                  <tr key={model} className="border-t border-neutral-800 text-neutral-200">
+                    <td className="py-1.5 pr-2">{model}</td>
+                    {['prompt', 'completion'].map(field => (
+                      <td key={field} className="py-1.5 pr-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={price[field]}
+                          onChange={(e) => setPrice(model, field, e.target.value)}
+                          className="w-20 bg-neutral-800 border border-neutral-700 rounded px-1.5 py-0.5 text-neutral-200 focus:outline-none focus:border-neutral-500"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1.5">
+                      <input
+                        type="radio"
+                        name="default-model"
+                        checked={settings.model === model}
+                        onChange={() => onChangeSettings({ ...settings, model })}
+                        className="accent-neutral-300"
+                        title="Used when an answer does not say which model produced it"
+                      />
+                    </td>
+                    <td className="py-1.5 text-right">
+                      {Object.keys(settings.prices).length > 1 && (
+                        <button
+                          onClick={() => removeModel(model)}
+                          className="p-1 text-neutral-500 hover:text-neutral-200 rounded"
+                          title="Remove model"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <form onSubmit={addModel} className="flex gap-2 mb-4">
+              <input
+                type="text"
+                value={newModel}
+                onChange={(e) => setNewModel(e.target.value)}
+                placeholder="Model name"
+                className="flex-1 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-neutral-200 placeholder-neutral-500 focus:outline-none focus:border-neutral-500"
+              />
+              <button
+                type="submit"
+                disabled={!newModel.trim()}
+                className="flex items-center gap-1 px-2 py-1 bg-neutral-800 border border-neutral-700 rounded text-xs text-neutral-200 hover:bg-neutral-700 disabled:opacity-50"
+              >
+                <Plus className="w-3 h-3" />
+                Add model
+              </button>
+            </form>
+
+            <label className="flex items-center gap-2 text-xs text-neutral-300">
+              Warn when a conversation would cost more than $
+              <input
+                type="number"
+                min="0"
+                step="0.05"
+                value={settings.conversationBudget ?? ''}
+                onChange={(e) => onChangeSettings({
+                  ...settings,
+                  conversationBudget: e.target.value === '' ? null : Math.max(0, Number(e.target.value))
+                })}
+                placeholder="No limit"
+                className="w-24 bg-neutral-800 border border-neutral-700 rounded px-1.5 py-0.5 text-neutral-200 placeholder-neutral-500 focus:outline-none focus:border-neutral-500"
+              />
+            </label>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+// HTTP client for the chatbot backend.
+//
+// Every call goes through `request`, which adds a timeout, links an optional
+// AbortSignal, retries idempotent calls with exponential backoff and turns
+// every failure into an ApiError.
+
+import { readChatStream, StreamUnavailableError } from './chatStream';
+
+export { StreamUnavailableError };
+
+export const DEFAULT_API_BASE = process.env.REACT_APP_API_BASE || '/api/v1';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const STREAM_UNAVAILABLE_STATUSES = [404, 405, 501];
+
+/**
+ * Uniform error for failed API calls.
+ * `status` is the HTTP status (null for network failures), `serverError` the
+ * backend's `error` field when it sent one.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, serverError = null, isNetworkError = false, isTimeout = false, isAborted = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.serverError = serverError;
+    this.isNetworkError = isNetworkError;
+    this.isTimeout = isTimeout;
+    this.isAborted = isAborted;
+  }
+
+  get isRetryable() {
+    return this.isNetworkError || this.isTimeout || RETRYABLE_STATUSES.includes(this.status);
+  }
+}
+
+export const isAbortError = (error) => error?.isAborted === true || error?.name === 'AbortError';
+
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const cancel = () => {
+    clearTimeout(timer);
+    reject(new ApiError('Request cancelled', { isAborted: true }));
+  };
+  // The listener goes with the timer, so retries on a long-lived signal don't pile up
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', cancel);
+    resolve();
+  }, ms);
+
+  if (signal?.aborted) {
+    cancel();
+    return;
+  }
+  signal?.addEventListener('abort', cancel, { once: true });
+});
+
+const readBody = async (response) => {
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    return response.json();
+  }
+  const text = await response.text();
+  return text ? { nonJson: true, text } : null;
+};
+
+// Throws an ApiError for HTTP errors and `{ success: false }` bodies
+const checkResponse = (response, data) => {
+  if (response.ok && data?.nonJson) {
+    throw new ApiError(`Server returned non-JSON response: ${response.status} ${response.statusText}`, {
+      status: response.status
+    });
+  }
+  if (!response.ok || data?.success === false) {
+    const serverError = data?.error || data?.detail || null;
+    throw new ApiError(serverError || `${response.status} ${response.statusText}`, {
+      status: response.status,
+      serverError: typeof serverError === 'string' ? serverError : null
+    });
+  }
+};
+
+/**
+ * Creates a client bound to one backend.
+ * Options: `baseUrl`, `timeout` (ms, per attempt), `retries` and `retryDelay`
+ * (ms, doubled per attempt) for idempotent calls.
+ */
+export function createApiClient({ baseUrl = DEFAULT_API_BASE, timeout = 30000, retries = 2, retryDelay = 500 } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const url = (path) => `${base}${path}`;
+
+  // Performs a single fetch with its own timeout, linked to the caller's signal
+  const attempt = async (path, { method, headers, body, signal, timeout: attemptTimeout, stream }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+      throw new ApiError('Request cancelled', { isAborted: true });
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = attemptTimeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, attemptTimeout)
+      : null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    try {
+      const response = await fetch(url(path), { method, headers, body, signal: controller.signal });
+
+      if (stream) {
+        // The timeout only covers the wait for headers; the caller's signal
+        // keeps cancelling the body until the stream is finished
+        clearTimeout(timer);
+        return { response, cleanup };
+      }
+
+      const data = await readBody(response);
+      checkResponse(response, data);
+      return { response, data };
+    } catch (error) {
+      cleanup();
+      if (error instanceof ApiError) throw error;
+      if (error?.name === 'AbortError') {
+        throw timedOut
+          ? new ApiError(`Request timed out after ${Math.round(attemptTimeout / 1000)}s`, { isTimeout: true })
+          : new ApiError('Request cancelled', { isAborted: true });
+      }
+      throw new ApiError(`Network error: ${error?.message || 'could not reach the server'}`, { isNetworkError: true });
+    } finally {
+      if (!stream) cleanup();
+    }
+  };
+
+  /**
+   * Sends a request and resolves with the parsed JSON body.
+   * `json` is sent as a JSON body; `body` is sent as-is (e.g. FormData).
+   */
+  const request = async (path, {
+    method = 'GET',
+    json,
+    body,
+    headers = {},
+    signal,
+    timeout: requestTimeout = timeout,
+    retries: requestRetries = IDEMPOTENT_METHODS.includes(method) ? retries : 0
+  } = {}) => {
+    const options = {
+      method,
+      headers: json !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal,
+      timeout: requestTimeout
+    };
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      try {
+        const { data } = await attempt(path, options);
+        return data;
+      } catch (error) {
+        if (attemptNumber >= requestRetries || !error.isRetryable) throw error;
+        const jitter = Math.random() * retryDelay;
+        await wait(retryDelay * 2 ** attemptNumber + jitter, signal);
+      }
+    }
+  };
+
+  return {
+    baseUrl: base,
+    request,
+
+    listDocuments: async (options) => {
+      const data = await request('/documents', options);
+      return data.documents || [];
+    },
+
+    /**
+     * Uploads a file with XMLHttpRequest so byte progress can be reported
+     * through `onProgress({ loaded, total })`; `fields` are sent as extra form
+     * fields. Uploads are never retried automatically; the upload queue offers
+     * a manual retry instead.
+     */
+    uploadDocument: (file, { fields = {}, onProgress, signal, timeout: uploadTimeout = 10 * 60 * 1000 } = {}) => new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ApiError('Request cancelled', { isAborted: true }));
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(fields).forEach(([name, value]) => {
+        if (value != null) formData.append(name, value);
+      });
+
+      const xhr = new XMLHttpRequest();
+      const onAbort = () => xhr.abort();
+      const finish = (callback) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback();
+      };
+
+      xhr.open('POST', url('/upload'));
+      xhr.timeout = uploadTimeout;
+      xhr.upload.onprogress = (event) => {
+        onProgress?.({ loaded: event.loaded, total: event.lengthComputable ? event.total : file.size });
+      };
+      xhr.onload = () => finish(() => {
+        let data = null;
+        try {
+          data = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+        } catch {
+          data = { nonJson: true };
+        }
+        try {
+          checkResponse({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, statusText: xhr.statusText }, data);
+          resolve(data);
+        } catch (error) {
+          reject(error);
+        }
+      });
+      xhr.onerror = () => finish(() => reject(new ApiError('Network error: could not reach the server', { isNetworkError: true })));
+      xhr.ontimeout = () => finish(() => reject(new ApiError(`Upload timed out after ${Math.round(uploadTimeout / 1000)}s`, { isTimeout: true })));
+      xhr.onabort = () => finish(() => reject(new ApiError('Upload cancelled', { isAborted: true })));
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      xhr.send(formData);
+    }),
+
+    // Asks the backend to fetch and index a web page
+    uploadUrl: (sourceUrl, options = {}) => request('/upload/url', {
+      method: 'POST',
+      json: { url: sourceUrl, source_type: 'url' },
+      timeout: 2 * 60 * 1000,
+      ...options
+    }),
+
+    // Server-side processing state of an uploaded document (chunking, embedding, ...)
+    getDocumentStatus: (pdfId, options) => request(`/documents/${encodeURIComponent(pdfId)}/status`, options),
+
+    // Chunks the document was split into, with their page ranges
+    getDocumentChunks: (pdfId, options) => request(`/documents/${encodeURIComponent(pdfId)}/chunks`, options),
+
+    // Generated abstract, key points, outline and suggested questions
+    summarizeDocument: (pdfId, options = {}) => request(`/documents/${encodeURIComponent(pdfId)}/summary`, {
+      method: 'POST',
+      timeout: 2 * 60 * 1000,
+      ...options
+    }),
+
+    deleteDocument: (pdfId, options) => request(`/documents/${encodeURIComponent(pdfId)}`, { method: 'DELETE', ...options }),
+
+    documentFileUrl: (pdfId) => url(`/documents/${encodeURIComponent(pdfId)}/file`),
+
+    chat: (payload, options = {}) => request('/chat', { method: 'POST', json: payload, timeout: 2 * 60 * 1000, ...options }),
+
+    /**
+     * Streams an answer from /chat/stream, calling `onToken` per fragment.
+     * Throws StreamUnavailableError when the backend has no streaming endpoint.
+     */
+    streamChat: async (payload, { onToken, signal, timeout: connectTimeout = 60000 } = {}) => {
+      const { response, cleanup } = await attempt('/chat/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream, application/x-ndjson'
+        },
+        body: JSON.stringify(payload),
+        signal,
+        timeout: connectTimeout,
+        stream: true
+      });
+
+      try {
+        if (STREAM_UNAVAILABLE_STATUSES.includes(response.status) || !response.body) {
+          throw new StreamUnavailableError(`Streaming not available (${response.status})`);
+        }
+        if (!response.ok) {
+          checkResponse(response, await readBody(response));
+        }
+        return await readChatStream(response, { onToken });
+      } catch (error) {
+        if (error instanceof ApiError || error instanceof StreamUnavailableError) throw error;
+        if (error?.name === 'AbortError') {
+          throw new ApiError('Request cancelled', { isAborted: true });
+        }
+        if (error instanceof TypeError) {
+          throw new ApiError(`Network error: ${error.message}`, { isNetworkError: true });
+        }
+        throw new ApiError(error.message);
+      } finally {
+        cleanup();
+      }
+    }
+  };
+}
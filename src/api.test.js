@@ -0,0 +1,67 @@
+import { createApiClient, ApiError, StreamUnavailableError, wait } from './api';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Service Unavailable',
+  headers: { get: () => 'application/json' },
+  json: async () => body
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('retries idempotent requests on retryable statuses', async () => {
+  fetch
+    .mockResolvedValueOnce(jsonResponse(503, { success: false, error: 'busy' }))
+    .mockResolvedValueOnce(jsonResponse(200, { success: true, documents: [{ pdf_id: 'a' }] }));
+
+  const api = createApiClient({ baseUrl: '/api/v2/', retryDelay: 0 });
+
+  await expect(api.listDocuments()).resolves.toEqual([{ pdf_id: 'a' }]);
+  expect(fetch).toHaveBeenCalledTimes(2);
+  expect(fetch.mock.calls[0][0]).toBe('/api/v2/documents');
+});
+
+test('does not retry chat requests and exposes the server error', async () => {
+  fetch.mockResolvedValue(jsonResponse(503, { success: false, error: 'Model overloaded' }));
+
+  const api = createApiClient({ retryDelay: 0 });
+  const error = await api.chat({ question: 'hi' }).catch(e => e);
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ status: 503, serverError: 'Model overloaded', message: 'Model overloaded' });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('reports a server without the streaming endpoint', async () => {
+  fetch.mockResolvedValue(jsonResponse(404, { detail: 'Not Found' }));
+
+  const api = createApiClient();
+  await expect(api.streamChat({ question: 'hi' })).rejects.toBeInstanceOf(StreamUnavailableError);
+});
+
+test('reports network failures', async () => {
+  fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+  const api = createApiClient({ retries: 0 });
+  await expect(api.listDocuments()).rejects.toMatchObject({ isNetworkError: true, status: null });
+});
+
+test('removes its abort listener once a wait is over', async () => {
+  const controller = new AbortController();
+  const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+  await wait(0, controller.signal);
+  expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+
+  const cancelled = wait(1000, controller.signal);
+  controller.abort();
+  await expect(cancelled).rejects.toMatchObject({ isAborted: true });
+  await expect(wait(1000, controller.signal)).rejects.toMatchObject({ isAborted: true });
+});
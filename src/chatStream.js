@@ -0,0 +1,125 @@
+// Parser for responses from the /chat/stream endpoint.
+//
+// The backend may answer with Server-Sent Events (`text/event-stream`) or with
+// newline-delimited JSON (`application/x-ndjson`). Both carry the same events:
+//   { "type": "token", "content": "..." }      - a piece of the answer
+//   { "type": "done", "sources_used": [...], "token_usage": {...}, ... }
+//   { "type": "error", "error": "..." }
+
+// Thrown when the server has no streaming endpoint, so callers can fall back
+// to the regular /chat request.
+export class StreamUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StreamUnavailableError';
+  }
+}
+
+const parseEvent = (data, eventName) => {
+  let event;
+  try {
+    event = JSON.parse(data);
+  } catch {
+    // Plain-text SSE payloads are treated as answer tokens
+    return { type: eventName || 'token', content: data };
+  }
+  if (typeof event !== 'object' || event === null) {
+    return { type: eventName || 'token', content: String(event) };
+  }
+  return { type: event.type || eventName || 'token', ...event };
+};
+
+// Splits a buffer into complete SSE events, returning the unparsed remainder
+const readSSE = (buffer, emit) => {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+
+  for (const block of blocks) {
+    let eventName = null;
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    if (dataLines.length > 0) {
+      emit(parseEvent(dataLines.join('\n'), eventName));
+    }
+  }
+  return rest;
+};
+
+// Splits a buffer into complete NDJSON lines, returning the unparsed remainder
+const readNDJSON = (buffer, emit) => {
+  const lines = buffer.split(/\r?\n/);
+  const rest = lines.pop();
+
+  for (const line of lines) {
+    if (line.trim()) {
+      emit(parseEvent(line));
+    }
+  }
+  return rest;
+};
+
+/**
+ * Reads a streaming chat response.
+ * Calls `onToken` with each answer fragment and resolves with the final
+ * `done` event, which carries the same metadata fields as the /chat response.
+ * Throws when the stream ends without one, as the answer was cut off.
+ */
+export async function readChatStream(response, { onToken } = {}) {
+  const contentType = response.headers.get('content-type') || '';
+
+  // A server without streaming support may still answer with plain JSON
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to get response');
+    }
+    if (data.answer) onToken?.(data.answer);
+    return { ...data, type: 'done' };
+  }
+
+  const isSSE = contentType.includes('text/event-stream');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final = null;
+
+  const emit = (event) => {
+    if (event.type === 'token') {
+      if (event.content) onToken?.(event.content);
+    } else if (event.type === 'done') {
+      final = event;
+    } else if (event.type === 'error') {
+      throw new Error(event.error || 'Stream error');
+    }
+  };
+
+  const read = isSSE ? readSSE : readNDJSON;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer = read(buffer + decoder.decode(value, { stream: true }), emit);
+    }
+
+    // Flush whatever is left once the connection closes
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      read(buffer + (isSSE ? '\n\n' : '\n'), emit);
+    }
+  } finally {
+    // Closes the connection when reading stops early, e.g. on an error event
+    reader.cancel().catch(() => {});
+  }
+
+  if (!final) {
+    throw new Error('The connection closed before the answer was complete');
+  }
+  return final;
+}
@@ -0,0 +1,90 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { readChatStream } from './chatStream';
+
+// jsdom has no TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// A response whose body arrives in the given chunks; `reader.cancelled`
+// tells whether the connection was closed
+const streamResponse = (contentType, chunks) => {
+  const encoder = new TextEncoder();
+  const pending = chunks.map(chunk => encoder.encode(chunk));
+  const reader = {
+    cancelled: false,
+    read: async () => (pending.length > 0 ? { value: pending.shift(), done: false } : { value: undefined, done: true }),
+    cancel: async () => {
+      reader.cancelled = true;
+    }
+  };
+  return {
+    headers: { get: () => contentType },
+    body: { getReader: () => reader },
+    reader
+  };
+};
+
+const readAll = async (response) => {
+  const tokens = [];
+  const final = await readChatStream(response, { onToken: token => tokens.push(token) });
+  return { tokens, final };
+};
+
+test('reads SSE events, also when they are split across chunks', async () => {
+  const { tokens, final } = await readAll(streamResponse('text/event-stream', [
+    'data: {"type":"token","content":"Hel"}\n\ndata: {"type":"tok',
+    'en","content":"lo"}\r\n\r\nevent: token\ndata: plain\n',
+    '\ndata: {"type":"done","sources_used":["a.pdf"]}\n\n'
+  ]));
+
+  expect(tokens).toEqual(['Hel', 'lo', 'plain']);
+  expect(final).toMatchObject({ type: 'done', sources_used: ['a.pdf'] });
+});
+
+test('reads NDJSON lines, including a last line without a newline', async () => {
+  const { tokens, final } = await readAll(streamResponse('application/x-ndjson', [
+    '{"type":"token","content":"A"}\n{"type":"to',
+    'ken","content":"B"}\n\n{"type":"done","token_usage":{"total_tokens":3}}'
+  ]));
+
+  expect(tokens).toEqual(['A', 'B']);
+  expect(final.token_usage).toEqual({ total_tokens: 3 });
+});
+
+test('flushes a trailing SSE event that has no blank line after it', async () => {
+  const { final } = await readAll(streamResponse('text/event-stream', [
+    'data: {"type":"token","content":"x"}\n\n',
+    'data: {"type":"done"}'
+  ]));
+  expect(final.type).toBe('done');
+});
+
+test('throws on error events and closes the connection', async () => {
+  const response = streamResponse('text/event-stream', [
+    'data: {"type":"token","content":"Partial"}\n\n',
+    'data: {"type":"error","error":"Model overloaded"}\n\n',
+    'data: {"type":"token","content":"never read"}\n\n'
+  ]);
+
+  await expect(readAll(response)).rejects.toThrow('Model overloaded');
+  expect(response.reader.cancelled).toBe(true);
+});
+
+test('throws when the stream ends before the done event', async () => {
+  const tokens = [];
+  const response = streamResponse('application/x-ndjson', ['{"type":"token","content":"Half an ans"}\n']);
+
+  await expect(readChatStream(response, { onToken: token => tokens.push(token) }))
+    .rejects.toThrow('The connection closed before the answer was complete');
+  expect(tokens).toEqual(['Half an ans']);
+  expect(response.reader.cancelled).toBe(true);
+});
+
+test('closes the connection when reading fails', async () => {
+  const response = streamResponse('application/x-ndjson', []);
+  response.reader.read = async () => {
+    throw new Error('network error');
+  };
+
+  await expect(readAll(response)).rejects.toThrow('network error');
+  expect(response.reader.cancelled).toBe(true);
+});
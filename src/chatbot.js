@@ -0,0 +1,12 @@
+// Public entry point for embedding the chatbot. Mount PDFChatbot for the
+// whole app, or any of the components inside a ChatbotProvider to build a
+// custom layout; they all share the provider's state.
+
+export { ChatbotProvider, useChatbot } from './chatbotStore';
+export { KnowledgeModes } from './knowledgeModes';
+export { default as ChatPanel } from './ChatPanel';
+export { default as DocumentSidebar } from './DocumentSidebar';
+export { default as KnowledgeModeSelector } from './KnowledgeModeSelector';
+export { default as DropZoneOverlay } from './DropZoneOverlay';
+export { default as MessageRenderer } from './MessageRenderer';
+export { default as PDFChatbot } from './App';
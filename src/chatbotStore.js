@@ -0,0 +1,991 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { createApiClient, isAbortError, StreamUnavailableError } from './api';
+import { DEFAULT_CONTEXT_SETTINGS, buildContextWindow } from './conversationContext';
+import {
+  createConversation,
+  titleFromQuestion,
+  listConversations,
+  saveConversation,
+  deleteConversation as deleteStoredConversation
+} from './conversationStore';
+import { branchKey, getActiveThread, getSiblings, getSiblingPositions, normalizeMessageTree } from './messageTree';
+import { exportConversation as writeConversationExport } from './exportConversation';
+import { useUploadQueue } from './useUploadQueue';
+import { validateUpload, validateUrl, getKnownHashes, rememberUploadHash } from './uploadValidation';
+import { loadDocumentTags, saveDocumentTags, listTags, addTag, removeTag, clearTags } from './documentLibrary';
+import { detectSourceType, documentSourceType, isWebUrl } from './sourceTypes';
+import { loadUsageSettings, saveUsageSettings, projectConversationCost } from './usageStats';
+import { loadSummaries, saveSummaries, normalizeSummary, suggestQuestions } from './documentSummaries';
+import { KnowledgeModes, DEFAULT_MODE, createCustomModeId, normalizeCustomMode, loadCustomModes, saveCustomModes, resolveMode, modeRequestFields } from './knowledgeModes';
+import { createTemplateId, normalizeTemplate, loadTemplates, saveTemplates } from './slashCommands';
+import { useStableCallback } from './useStableCallback';
+import './chatbot.css';
+
+const createMessageId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Maps a /chat (or trailing /chat/stream) payload onto message metadata
+const toMessageMetadata = (data) => ({
+  mode: data.knowledge_mode,
+  sources: data.sources_used,
+  searchResults: data.search_results_count,
+  tokenUsage: data.token_usage,
+  model: data.model
+});
+
+const buildPayload = (question, mode, contextWindow, documentIds) => {
+  const payload = {
+    question,
+    knowledge_mode: mode,
+    history: contextWindow.history,
+  };
+  if (documentIds) {
+    payload.pdf_ids = documentIds;
+  }
+  return payload;
+};
+
+/**
+ * State and actions shared by the chatbot components: the conversation and
+ * its message tree, documents and uploads, knowledge mode, document scope and
+ * the viewer target. `onEvent(type, detail)` is told about what happens; see
+ * ChatbotProvider for the event list and the other options.
+ */
+export function useChatbotStore({ apiBase, onEvent, defaultMode = DEFAULT_MODE, documentIds = null, contained = false } = {}) {
+  const api = useMemo(() => createApiClient({ baseUrl: apiBase }), [apiBase]);
+
+  const [messages, setMessages] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [knowledgeMode, setKnowledgeMode] = useState(() => resolveMode({ ...KnowledgeModes, ...loadCustomModes() }, defaultMode));
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [typingTrigger, setTypingTrigger] = useState(0);
+  const [detailsDocId, setDetailsDocId] = useState(null);
+  const [documentTags, setDocumentTags] = useState(loadDocumentTags);
+  const [pendingDeletion, setPendingDeletion] = useState(null);
+  const [summaries, setSummaries] = useState(loadSummaries);
+  const [summarizing, setSummarizing] = useState({});
+  const [compareModes, setCompareModes] = useState(() => Object.keys(KnowledgeModes));
+  const [customModes, setCustomModes] = useState(loadCustomModes);
+  const [promptTemplates, setPromptTemplates] = useState(loadTemplates);
+  const [usageSettings, setUsageSettings] = useState(loadUsageSettings);
+  const [budgetWarning, setBudgetWarning] = useState(null);
+  const [expandedCitations, setExpandedCitations] = useState({});
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [viewerTarget, setViewerTarget] = useState(null);
+  const [contextSettings, setContextSettings] = useState(DEFAULT_CONTEXT_SETTINGS);
+  const [highlightedContextOf, setHighlightedContextOf] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [documentScope, setDocumentScope] = useState(documentIds);
+  const [activeBranches, setActiveBranches] = useState({});
+  const streamingSupported = useRef(true);
+  const abortControllerRef = useRef(null);
+  // Last saved state of the active conversation; used to skip no-op saves
+  const persistedConversation = useRef(null);
+  const pendingDeletionRef = useRef(null);
+
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+  const emit = useCallback((type, detail = {}) => onEventRef.current?.(type, detail), []);
+
+  const isStreaming = messages.some(message => message.streaming);
+
+  // Built-in modes followed by the user's own
+  const knowledgeModes = useMemo(() => ({ ...KnowledgeModes, ...customModes }), [customModes]);
+
+  // The branch of the conversation currently on screen
+  const thread = useMemo(() => getActiveThread(messages, activeBranches), [messages, activeBranches]);
+
+  // Documents the next question searches; a null scope means all of them
+  const scopedDocuments = documentScope === null
+    ? documents
+    : documents.filter(doc => documentScope.includes(doc.pdf_id));
+
+  const detailsDocument = documents.find(doc => doc.pdf_id === detailsDocId) || null;
+
+  const starterQuestions = useMemo(
+    () => suggestQuestions(scopedDocuments, summaries),
+    [scopedDocuments, summaries]
+  );
+
+  const allTags = useMemo(() => listTags(documentTags), [documentTags]);
+
+  // Position among alternates, e.g. "2/3", for every message
+  const siblingPositions = useMemo(() => getSiblingPositions(messages), [messages]);
+
+  // Answers of each comparison on screen. Arrays are reused while their
+  // answers are unchanged so streaming elsewhere doesn't re-render them.
+  const comparisonVariantsRef = useRef(new Map());
+  const comparisonVariants = useMemo(() => {
+    const previous = comparisonVariantsRef.current;
+    const variantsById = new Map();
+    thread.forEach(message => {
+      if (!message.comparisonGroup) return;
+      const variants = getSiblings(messages, message).filter(sibling => sibling.comparisonGroup === message.comparisonGroup);
+      const reused = previous.get(message.id);
+      const unchanged = reused?.length === variants.length && reused.every((variant, index) => variant === variants[index]);
+      variantsById.set(message.id, unchanged ? reused : variants);
+    });
+    comparisonVariantsRef.current = variantsById;
+    return variantsById;
+  }, [messages, thread]);
+
+  // Preview of the history the next question will carry
+  const nextContext = useMemo(() => buildContextWindow(thread, contextSettings), [thread, contextSettings]);
+
+  const highlightedContextIds = useMemo(() => {
+    const source = messages.find(message => message.id === highlightedContextOf);
+    return new Set(source?.contextMessageIds || []);
+  }, [messages, highlightedContextOf]);
+
+  const fetchDocuments = useCallback(async () => {
+    try {
+      // Documents waiting out their undo period stay hidden
+      const pendingIds = pendingDeletionRef.current?.documents.map(doc => doc.pdf_id) || [];
+      setDocuments((await api.listDocuments()).filter(doc => !pendingIds.includes(doc.pdf_id)));
+    } catch (error) {
+      console.error('Failed to fetch documents:', error);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  const documentsRef = useRef(documents);
+  documentsRef.current = documents;
+
+  const uploadQueue = useUploadQueue(api, {
+    validate: (item) => (item.url
+      ? validateUrl(item.url, documentsRef.current)
+      : validateUpload(item.file, { knownHashes: getKnownHashes(documentsRef.current) })),
+    onUploaded: (data, item) => {
+      rememberUploadHash(item.hash, { pdf_id: data?.pdf_id, pdf_name: data?.pdf_name || item.name });
+      fetchDocuments();
+      emit('upload', { document: data, name: item.name });
+    }
+  });
+
+  useEffect(() => {
+    loadConversations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Persist the active conversation whenever its messages or settings change
+  useEffect(() => {
+    const persisted = persistedConversation.current;
+    if (!persisted || persisted.id !== activeConversationId || isStreaming) return;
+
+    const unchanged = persisted.messages === messages
+      && persisted.activeBranches === activeBranches
+      && persisted.knowledgeMode === knowledgeMode
+      && persisted.contextSettings === contextSettings
+      && persisted.documentScope === documentScope;
+    // New conversations are only stored once something has been asked
+    if (unchanged || (messages.length === 0 && persisted.messages.length === 0)) return;
+
+    const firstQuestion = messages.find(message => message.role === 'user')?.content;
+    const conversation = {
+      ...persisted,
+      title: persisted.autoTitle ? titleFromQuestion(firstQuestion) || persisted.title : persisted.title,
+      messages,
+      activeBranches,
+      knowledgeMode,
+      contextSettings,
+      documentScope,
+      updatedAt: new Date().toISOString()
+    };
+
+    persistedConversation.current = conversation;
+    setConversations(prev => [conversation, ...prev.filter(c => c.id !== conversation.id)]);
+    saveConversation(conversation).catch((error) => {
+      console.error('Failed to save conversation:', error);
+    });
+  }, [activeConversationId, messages, activeBranches, knowledgeMode, contextSettings, documentScope, isStreaming]);
+
+  useEffect(() => {
+    saveDocumentTags(documentTags);
+  }, [documentTags]);
+
+  useEffect(() => {
+    saveSummaries(summaries);
+  }, [summaries]);
+
+  useEffect(() => {
+    saveUsageSettings(usageSettings);
+  }, [usageSettings]);
+
+  useEffect(() => {
+    saveCustomModes(customModes);
+  }, [customModes]);
+
+  useEffect(() => {
+    saveTemplates(promptTemplates);
+  }, [promptTemplates]);
+
+  // Events that follow plain state changes
+  useEffect(() => {
+    if (error) emit('error', { message: error });
+  }, [error, emit]);
+
+  useEffect(() => {
+    emit('documentsChange', { documents });
+  }, [documents, emit]);
+
+  useEffect(() => {
+    emit('modeChange', { mode: knowledgeMode });
+  }, [knowledgeMode, emit]);
+
+  useEffect(() => {
+    if (activeConversationId) emit('conversationChange', { conversationId: activeConversationId });
+  }, [activeConversationId, emit]);
+
+  // Restores a conversation's messages, knowledge mode, context window and document scope
+  const applyConversation = (stored) => {
+    const conversation = {
+      ...stored,
+      messages: normalizeMessageTree(stored.messages),
+      activeBranches: stored.activeBranches || {}
+    };
+    persistedConversation.current = conversation;
+    setActiveConversationId(conversation.id);
+    setMessages(conversation.messages);
+    setActiveBranches(conversation.activeBranches);
+    // The conversation's mode may be a custom one that was deleted since
+    setKnowledgeMode(resolveMode(knowledgeModes, conversation.knowledgeMode));
+    setContextSettings(conversation.contextSettings);
+    setDocumentScope(conversation.documentScope);
+    setExpandedCitations({});
+    setActiveCitation(null);
+    setBudgetWarning(null);
+    setHighlightedContextOf(null);
+    setError(null);
+    setTypingTrigger(prev => prev + 1);
+  };
+
+  const loadConversations = async () => {
+    try {
+      const stored = await listConversations();
+      setConversations(stored);
+      // Pages that pin the documents start a conversation about them instead
+      applyConversation((!documentIds && stored[0]) || createConversation({ knowledgeMode: defaultMode, documentScope: documentIds }));
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+      applyConversation(createConversation({ knowledgeMode: defaultMode, documentScope: documentIds }));
+    }
+  };
+
+  const newConversation = () => {
+    if (isLoading) return;
+    applyConversation(createConversation({ knowledgeMode, contextSettings, documentScope: documentIds }));
+  };
+
+  const selectConversation = (conversation) => {
+    if (isLoading || conversation.id === activeConversationId) return;
+    applyConversation(conversation);
+  };
+
+  const renameConversation = async (id, title) => {
+    const existing = conversations.find(c => c.id === id);
+    if (!existing || !title.trim() || title.trim() === existing.title) return;
+
+    const renamed = { ...existing, title: title.trim(), autoTitle: false };
+    if (persistedConversation.current?.id === id) {
+      persistedConversation.current = { ...persistedConversation.current, title: renamed.title, autoTitle: false };
+    }
+    setConversations(prev => prev.map(c => (c.id === id ? renamed : c)));
+
+    try {
+      await saveConversation(renamed);
+    } catch (error) {
+      setError(`Failed to rename conversation: ${error.message}`);
+    }
+  };
+
+  const deleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete conversation "${conversation.title}"?`)) return;
+
+    try {
+      await deleteStoredConversation(conversation.id);
+    } catch (error) {
+      setError(`Failed to delete conversation: ${error.message}`);
+      return;
+    }
+
+    const remaining = conversations.filter(c => c.id !== conversation.id);
+    setConversations(remaining);
+
+    if (conversation.id === activeConversationId) {
+      applyConversation(remaining[0] || createConversation({ knowledgeMode, contextSettings, documentScope: documentIds }));
+    }
+  };
+
+  // `styleRoot`: the document or shadow root whose styles the HTML export copies
+  const exportConversation = async (conversation, format, styleRoot) => {
+    // The active conversation may have changes that are not in the list yet
+    const source = conversation.id === activeConversationId
+      ? { ...conversation, messages: thread }
+      : { ...conversation, messages: getActiveThread(normalizeMessageTree(conversation.messages), conversation.activeBranches) };
+    if (source.messages.length === 0) {
+      setError('Nothing to export yet');
+      return;
+    }
+
+    try {
+      await writeConversationExport(source, format, knowledgeModes, styleRoot);
+    } catch (error) {
+      console.error('Export error:', error);
+      setError(`Failed to export conversation: ${error.message}`);
+    }
+  };
+
+  // Queues supported files for upload and reports the ones that are skipped
+  const uploadFiles = (files) => {
+    const supported = Array.from(files).filter(file => detectSourceType(file));
+    const skipped = files.length - supported.length;
+
+    setError(skipped > 0
+      ? `Skipped ${skipped} unsupported file${skipped !== 1 ? 's' : ''}. Upload PDF, Word, Markdown, text or HTML files`
+      : null);
+    if (supported.length > 0) {
+      uploadQueue.enqueue(supported);
+    }
+  };
+
+  // Queues a web page; returns false when `url` is not a web address
+  const addUrl = (url) => {
+    if (!isWebUrl(url.trim())) {
+      setError('Enter a web page address starting with http:// or https://');
+      return false;
+    }
+
+    setError(null);
+    uploadQueue.enqueue([{ url: url.trim() }]);
+    return true;
+  };
+
+  const requestSummary = async (pdfId) => {
+    setSummarizing(prev => ({ ...prev, [pdfId]: true }));
+    try {
+      const summary = normalizeSummary(await api.summarizeDocument(pdfId));
+      setSummaries(prev => ({ ...prev, [pdfId]: summary }));
+    } catch (error) {
+      console.error('Summary error:', error);
+      setError(`Failed to summarize document: ${error.message}`);
+    } finally {
+      setSummarizing(prev => ({ ...prev, [pdfId]: false }));
+    }
+  };
+
+  // Opens the details drawer, generating the summary if there is none yet
+  const summarizeDocument = (pdfId) => {
+    setDetailsDocId(pdfId);
+    if (!summaries[pdfId] && !summarizing[pdfId]) {
+      requestSummary(pdfId);
+    }
+  };
+
+  // Sends the delete requests once the undo period is over
+  const commitDeletion = async (pending) => {
+    clearTimeout(pending.timer);
+    if (pendingDeletionRef.current === pending) {
+      pendingDeletionRef.current = null;
+      setPendingDeletion(null);
+    }
+
+    const results = await Promise.allSettled(pending.documents.map(doc => api.deleteDocument(doc.pdf_id)));
+    const failed = pending.documents.filter((_, index) => results[index].status === 'rejected');
+    const deletedIds = pending.documents.filter(doc => !failed.includes(doc)).map(doc => doc.pdf_id);
+
+    setDocumentTags(prev => clearTags(prev, deletedIds));
+    setSummaries(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !deletedIds.includes(id))));
+    if (failed.length > 0) {
+      const reason = results.find(result => result.status === 'rejected').reason;
+      console.error('Delete error:', reason);
+      setError(`Failed to delete ${failed.map(doc => doc.pdf_name).join(', ')}: ${reason.message}`);
+    }
+    await fetchDocuments();
+  };
+
+  // Hides the documents right away and deletes them unless undoDeletion is called in time
+  const deleteDocuments = (pdfIds) => {
+    const toDelete = documents.filter(doc => pdfIds.includes(doc.pdf_id));
+    if (toDelete.length === 0) return;
+
+    if (pendingDeletionRef.current) {
+      commitDeletion(pendingDeletionRef.current);
+    }
+
+    const pending = { documents: toDelete };
+    pending.timer = setTimeout(() => commitDeletion(pending), 6000);
+    pendingDeletionRef.current = pending;
+    setPendingDeletion(pending);
+
+    setDocuments(prev => prev.filter(doc => !pdfIds.includes(doc.pdf_id)));
+    if (pdfIds.includes(viewerTarget?.pdfId)) {
+      setViewerTarget(null);
+    }
+    if (pdfIds.includes(detailsDocId)) {
+      setDetailsDocId(null);
+    }
+  };
+
+  const undoDeletion = () => {
+    const pending = pendingDeletionRef.current;
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingDeletionRef.current = null;
+    setPendingDeletion(null);
+    setDocuments(prev => [...prev, ...pending.documents]);
+  };
+
+  // Leaving the page does not cancel a deletion that is waiting for undo
+  useEffect(() => () => {
+    const pending = pendingDeletionRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pending.documents.forEach(doc => api.deleteDocument(doc.pdf_id).catch(() => {}));
+  }, [api]);
+
+  const tagDocuments = (pdfIds, tag) => setDocumentTags(prev => addTag(prev, pdfIds, tag));
+
+  const untagDocument = (pdfId, tag) => setDocumentTags(prev => removeTag(prev, [pdfId], tag));
+
+  // Opens a document in the viewer pane, optionally at a page with a chunk highlighted
+  const openDocument = ({ pdfId, pdfName, page = 1, highlight = null }) => {
+    const doc = documents.find(d => d.pdf_id === pdfId) || documents.find(d => d.pdf_name === pdfName);
+    if (!doc) {
+      setError(`Cannot open "${pdfName}": document not found`);
+      return;
+    }
+    emit('documentOpen', { document: doc, page: page || 1 });
+
+    // The viewer only renders PDFs; other sources open in a new tab
+    const sourceType = documentSourceType(doc);
+    if (sourceType !== 'pdf') {
+      window.open(sourceType === 'url' ? doc.source_url : api.documentFileUrl(doc.pdf_id), '_blank', 'noopener');
+      return;
+    }
+
+    setViewerTarget({
+      pdfId: doc.pdf_id,
+      pdfName: doc.pdf_name,
+      url: api.documentFileUrl(doc.pdf_id),
+      page: page || 1,
+      highlight,
+      requestedAt: Date.now()
+    });
+  };
+
+  const openChunk = (doc, chunk) => {
+    setDetailsDocId(null);
+    openDocument({
+      pdfId: doc.pdf_id,
+      pdfName: doc.pdf_name,
+      page: chunk.pageStart,
+      highlight: chunk.text
+    });
+  };
+
+  const updateMessage = (id, updater) => {
+    setMessages(prev => prev.map(message => (message.id === id ? updater(message) : message)));
+  };
+
+  const appendMessage = (message) => {
+    setMessages(prev => [...prev, message]);
+    setActiveBranches(prev => ({ ...prev, [branchKey(message.parentId)]: message.id }));
+  };
+
+  /**
+   * Fetches one answer into a new child of `parentId`, with `fields` added to
+   * the message. Streams when the server supports it; stopping keeps the
+   * partial answer. With `keepFailed` a failed answer stays in the tree with
+   * its `error`. Resolves with the message id, rethrows other failures.
+   */
+  const streamAnswer = async (parentId, payload, { signal, fields = {}, keepFailed = false }) => {
+    const messageId = createMessageId();
+    const startedAt = new Date().toISOString();
+    let started = false;
+
+    const startMessage = (extra) => {
+      started = true;
+      appendMessage({ id: messageId, parentId, role: 'assistant', content: '', timestamp: startedAt, ...fields, ...extra });
+    };
+
+    // Payloads carry the mode's key; custom modes are sent as their base mode
+    const request = { ...payload, ...modeRequestFields(knowledgeModes, payload.knowledge_mode) };
+
+    try {
+      let data = null;
+
+      // Prefer streaming; fall back to /chat once the server reports it has no stream endpoint
+      if (streamingSupported.current) {
+        try {
+          data = await api.streamChat(request, {
+            signal,
+            onToken: (token) => {
+              if (!started) {
+                startMessage({ content: token, streaming: true });
+              } else {
+                updateMessage(messageId, message => ({ ...message, content: message.content + token }));
+              }
+            }
+          });
+        } catch (error) {
+          if (!(error instanceof StreamUnavailableError)) throw error;
+          streamingSupported.current = false;
+        }
+      }
+
+      if (!data) {
+        data = await api.chat(request, { signal });
+      }
+
+      const finished = {
+        timestamp: data.timestamp || startedAt,
+        streaming: false,
+        metadata: toMessageMetadata({ ...data, knowledge_mode: payload.knowledge_mode })
+      };
+
+      if (started) {
+        updateMessage(messageId, message => ({ ...message, ...finished, content: data.answer ?? message.content }));
+      } else {
+        startMessage({ ...finished, content: data.answer ?? '' });
+      }
+      emit('answer', { messageId, question: payload.question, answer: data.answer ?? '', metadata: finished.metadata });
+      return messageId;
+    } catch (error) {
+      if (isAbortError(error)) {
+        const stopped = { streaming: false, stopped: true, metadata: { mode: payload.knowledge_mode } };
+        if (started) {
+          updateMessage(messageId, message => ({ ...message, ...stopped }));
+        } else {
+          startMessage(stopped);
+        }
+        return messageId;
+      }
+
+      const failed = keepFailed ? { error: error.message, metadata: { mode: payload.knowledge_mode } } : {};
+      if (started) {
+        // What arrived before the failure is kept, marked as cut off
+        updateMessage(messageId, message => ({ ...message, streaming: false, incomplete: true, ...failed }));
+      } else if (keepFailed) {
+        startMessage({ streaming: false, ...failed });
+      }
+      throw error;
+    }
+  };
+
+  // Asks for a single answer to the question `parentId`
+  const requestAnswer = async (parentId, payload) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      await streamAnswer(parentId, payload, { signal: controller.signal });
+    } catch (error) {
+      setError(`Error: ${error.message}`);
+    } finally {
+      abortControllerRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Asks the question `parentId` under several modes at once. The answers are
+   * siblings sharing a `comparisonGroup`, shown side by side; the first mode's
+   * answer continues the conversation until another one is picked.
+   */
+  const requestComparison = async (parentId, payload, modes) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsLoading(true);
+    setError(null);
+
+    const comparisonGroup = createMessageId();
+    const results = await Promise.allSettled(modes.map(mode => streamAnswer(
+      parentId,
+      { ...payload, knowledge_mode: mode },
+      { signal: controller.signal, fields: { comparisonGroup }, keepFailed: true }
+    )));
+
+    const firstAnswer = results.find(result => result.status === 'fulfilled');
+    if (firstAnswer) {
+      setActiveBranches(prev => ({ ...prev, [branchKey(parentId)]: firstAnswer.value }));
+    } else {
+      setError(`Error: ${results[0].reason.message}`);
+    }
+    abortControllerRef.current = null;
+    setIsLoading(false);
+  };
+
+  /**
+   * Sends a new question; with several `modes` it is answered in each of them.
+   * Stops with a warning instead when the conversation's soft budget would be
+   * exceeded, unless `ignoreBudget` is set. Returns whether it was sent.
+   */
+  const sendQuestion = (question, modes = null, { ignoreBudget = false } = {}) => {
+    if (!question.trim() || isLoading || scopedDocuments.length === 0) return false;
+
+    const contextWindow = buildContextWindow(thread, contextSettings);
+
+    const budget = usageSettings.conversationBudget;
+    if (budget != null && !ignoreBudget) {
+      const { spent, next } = projectConversationCost(messages, question, contextWindow.tokens, usageSettings);
+      const projected = spent + next * (modes?.length || 1);
+      if (projected > budget) {
+        setBudgetWarning({ question, modes, spent, projected });
+        return false;
+      }
+    }
+    setBudgetWarning(null);
+    const documentIds = documentScope === null ? null : scopedDocuments.map(doc => doc.pdf_id);
+
+    const userMessage = {
+      id: createMessageId(),
+      parentId: thread[thread.length - 1]?.id ?? null,
+      role: 'user',
+      content: question,
+      timestamp: new Date().toISOString(),
+      contextMessageIds: contextWindow.messageIds,
+      contextTokens: contextWindow.tokens,
+      documentScope: documentIds,
+      knowledgeMode
+    };
+
+    appendMessage(userMessage);
+    emit('question', { question, mode: knowledgeMode, modes, documentIds });
+
+    const payload = buildPayload(question, knowledgeMode, contextWindow, documentIds);
+    if (modes) {
+      requestComparison(userMessage.id, payload, modes);
+    } else {
+      requestAnswer(userMessage.id, payload);
+    }
+    return true;
+  };
+
+  const stop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * The documents `question` was asked about that still exist, or null for
+   * all of them, to ask it again with. Questions saved before scopes were
+   * recorded use the current selection. Shows an error and returns undefined
+   * when none are left.
+   */
+  const askedDocumentIds = (question) => {
+    const askedScope = 'documentScope' in question ? question.documentScope : documentScope;
+    const documentIds = askedScope === null
+      ? null
+      : askedScope.filter(pdfId => documents.some(doc => doc.pdf_id === pdfId));
+    if (documents.length === 0 || documentIds?.length === 0) {
+      setError('Select at least one document to ask about');
+      return undefined;
+    }
+    return documentIds;
+  };
+
+  // Re-asks the question behind an answer, adding the result as an alternate.
+  // Handlers passed to memoized messages are stable so they don't re-render.
+  const regenerate = useStableCallback(async (answer, mode) => {
+    if (isLoading) return;
+
+    const questionIndex = thread.findIndex(message => message.id === answer.parentId);
+    const question = thread[questionIndex];
+    if (!question) return;
+    const documentIds = askedDocumentIds(question);
+    if (documentIds === undefined) return;
+
+    const contextWindow = buildContextWindow(thread.slice(0, questionIndex), contextSettings);
+    await requestAnswer(question.id, buildPayload(question.content, mode, contextWindow, documentIds));
+  });
+
+  // Re-asks the question behind an answer under every selected compare mode
+  const compare = useStableCallback(async (answer) => {
+    if (isLoading) return;
+
+    const questionIndex = thread.findIndex(message => message.id === answer.parentId);
+    const question = thread[questionIndex];
+    if (!question) return;
+    const documentIds = askedDocumentIds(question);
+    if (documentIds === undefined) return;
+
+    const contextWindow = buildContextWindow(thread.slice(0, questionIndex), contextSettings);
+    const modes = compareModes.length >= 2 ? compareModes : Object.keys(knowledgeModes);
+    await requestComparison(question.id, buildPayload(question.content, knowledgeMode, contextWindow, documentIds), modes);
+  });
+
+  const toggleCompareMode = (mode) => {
+    setCompareModes(prev => (prev.includes(mode)
+      ? prev.filter(existing => existing !== mode)
+      : Object.keys(knowledgeModes).filter(key => key === mode || prev.includes(key))));
+  };
+
+  // Resubmits an edited question as a sibling, keeping the original branch
+  // intact. It asks the documents the original was sent with, not the
+  // current selection.
+  const editQuestion = useStableCallback(async (original, content, mode) => {
+    if (isLoading) return;
+    const documentIds = askedDocumentIds(original);
+    if (documentIds === undefined) return;
+
+    const questionIndex = thread.findIndex(message => message.id === original.id);
+    const contextWindow = buildContextWindow(thread.slice(0, questionIndex), contextSettings);
+
+    const editedMessage = {
+      id: createMessageId(),
+      parentId: original.parentId ?? null,
+      role: 'user',
+      content,
+      timestamp: new Date().toISOString(),
+      contextMessageIds: contextWindow.messageIds,
+      contextTokens: contextWindow.tokens,
+      documentScope: documentIds,
+      knowledgeMode: mode
+    };
+
+    appendMessage(editedMessage);
+    await requestAnswer(editedMessage.id, buildPayload(content, mode, contextWindow, documentIds));
+  });
+
+  const selectSibling = useStableCallback((message, offset) => {
+    const siblings = getSiblings(messages, message);
+    const target = siblings[siblings.findIndex(sibling => sibling.id === message.id) + offset];
+    if (target) {
+      setActiveBranches(prev => ({ ...prev, [branchKey(message.parentId)]: target.id }));
+    }
+  });
+
+  const isDocumentInScope = (pdfId) => documentScope === null || documentScope.includes(pdfId);
+
+  // Limits questions to `pdfIds`, leaving out deleted documents. Selecting
+  // every document collapses back to "all documents" so newly uploaded files
+  // are included too.
+  const updateDocumentScope = (pdfIds) => {
+    const existingIds = new Set(documents.map(doc => doc.pdf_id));
+    const next = [...new Set(pdfIds)].filter(id => existingIds.has(id));
+    setDocumentScope(next.length === existingIds.size ? null : next);
+  };
+
+  const toggleDocumentScope = (pdfId) => {
+    const current = documentScope ?? documents.map(doc => doc.pdf_id);
+    updateDocumentScope(current.includes(pdfId)
+      ? current.filter(id => id !== pdfId)
+      : [...current, pdfId]);
+  };
+
+  const addDocumentToScope = (pdfId) => {
+    if (documentScope === null) {
+      updateDocumentScope([pdfId]);
+    } else if (!documentScope.includes(pdfId)) {
+      updateDocumentScope([...documentScope, pdfId]);
+    }
+  };
+
+  const selectMode = (mode) => {
+    setKnowledgeMode(mode);
+    setTypingTrigger(prev => prev + 1);
+  };
+
+  // Creates (without `id`) or updates a custom mode; returns its key. Throws
+  // when the mode is invalid.
+  const saveCustomMode = (mode, id = createCustomModeId()) => {
+    const normalized = normalizeCustomMode(mode);
+    setCustomModes(prev => ({ ...prev, [id]: normalized }));
+    return id;
+  };
+
+  // Removes a custom mode; when it is in use the default mode takes over
+  const deleteCustomMode = (id) => {
+    setCustomModes(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== id)));
+    setCompareModes(prev => prev.filter(mode => mode !== id));
+    if (knowledgeMode === id) {
+      selectMode(DEFAULT_MODE);
+    }
+  };
+
+  // Creates (without `id`) or updates a prompt template; returns its key.
+  // Throws when the template is invalid or its command name is taken.
+  const savePromptTemplate = (template, id = createTemplateId()) => {
+    const normalized = normalizeTemplate(template, promptTemplates, id);
+    setPromptTemplates(prev => ({ ...prev, [id]: normalized }));
+    return id;
+  };
+
+  const deletePromptTemplate = (id) => {
+    setPromptTemplates(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== id)));
+  };
+
+  const updateContextSetting = (key, value, max) => {
+    const parsed = parseInt(value, 10);
+    setContextSettings(prev => ({
+      ...prev,
+      [key]: Number.isNaN(parsed) ? 0 : Math.min(Math.max(parsed, 0), max)
+    }));
+  };
+
+  const toggleContextHighlight = useCallback((messageId) => {
+    setHighlightedContextOf(prev => (prev === messageId ? null : messageId));
+  }, []);
+
+  const toggleCitations = useCallback((messageId) => {
+    setExpandedCitations(prev => ({ ...prev, [messageId]: !prev[messageId] }));
+  }, []);
+
+  // Expands an answer's citations and scrolls to the source behind `anchor`
+  const openCitation = useCallback((messageId, anchor) => {
+    setExpandedCitations(prev => ({ ...prev, [messageId]: true }));
+    setActiveCitation({ anchor, requestedAt: Date.now() });
+  }, []);
+
+  const selectAnswer = useCallback((variant) => {
+    setActiveBranches(prev => ({ ...prev, [branchKey(variant.parentId)]: variant.id }));
+  }, []);
+
+  const openSource = useStableCallback((source) => {
+    openDocument({
+      pdfId: source.pdfId,
+      pdfName: source.pdfName,
+      page: source.page,
+      highlight: source.text
+    });
+  });
+
+  return {
+    api,
+    emit,
+
+    // Conversation
+    conversations,
+    activeConversationId,
+    messages,
+    thread,
+    isLoading,
+    isStreaming,
+    error,
+    setError,
+    budgetWarning,
+    setBudgetWarning,
+    typingTrigger,
+    siblingPositions,
+    comparisonVariants,
+    highlightedContextOf,
+    highlightedContextIds,
+    expandedCitations,
+    activeCitation,
+    newConversation,
+    selectConversation,
+    renameConversation,
+    deleteConversation,
+    exportConversation,
+    sendQuestion,
+    stop,
+    regenerate,
+    compare,
+    editQuestion,
+    selectSibling,
+    openSource,
+    selectAnswer,
+    toggleContextHighlight,
+    toggleCitations,
+    openCitation,
+
+    // Knowledge mode and history
+    knowledgeModes,
+    customModes,
+    knowledgeMode,
+    selectMode,
+    saveCustomMode,
+    deleteCustomMode,
+    compareModes,
+    toggleCompareMode,
+    contextSettings,
+    updateContextSetting,
+    nextContext,
+
+    // Prompt templates
+    promptTemplates,
+    savePromptTemplate,
+    deletePromptTemplate,
+
+    // Documents
+    documents,
+    scopedDocuments,
+    documentScope,
+    setDocumentScope,
+    isDocumentInScope,
+    toggleDocumentScope,
+    addDocumentToScope,
+    documentTags,
+    allTags,
+    tagDocuments,
+    untagDocument,
+    summaries,
+    summarizing,
+    starterQuestions,
+    requestSummary,
+    summarizeDocument,
+    uploadQueue,
+    uploadFiles,
+    addUrl,
+    pendingDeletion,
+    deleteDocuments,
+    undoDeletion,
+    detailsDocument,
+    setDetailsDocId,
+    viewerTarget,
+    setViewerTarget,
+    openDocument,
+    openChunk,
+
+    // Usage
+    usageSettings,
+    setUsageSettings,
+
+    contained
+  };
+}
+
+const ChatbotContext = createContext(null);
+
+/**
+ * Holds the shared chatbot state for every component rendered inside it
+ * (ChatPanel, DocumentSidebar, KnowledgeModeSelector, DropZoneOverlay,
+ * MessageRenderer), so they can be mounted together or on their own.
+ *
+ * Props:
+ * - `apiBase`: backend URL; defaults to the app's own origin
+ * - `defaultMode`: knowledge mode to start in, built-in or custom; 'augmented'
+ *   by default
+ * - `documentIds`: documents new conversations are limited to; all by default.
+ *   When given, a new conversation is started instead of the latest one.
+ * - `contained`: dialogs, drawers and toasts are placed inside the nearest
+ *   positioned element instead of the window, as the embedded widget needs
+ * - `onEvent(type, detail)`: called with
+ *   - `question` { question, mode, modes, documentIds } when a question is sent
+ *   - `answer` { messageId, question, answer, metadata } when an answer finishes
+ *   - `upload` { document, name } when an upload has been indexed
+ *   - `documentsChange` { documents } when the document list changes
+ *   - `documentOpen` { document, page } when a document or cited page is opened
+ *   - `modeChange` { mode } when the knowledge mode changes
+ *   - `conversationChange` { conversationId } when another conversation is shown
+ *   - `error` { message } when an error is shown
+ */
+export function ChatbotProvider({ apiBase, onEvent, defaultMode, documentIds, contained, children }) {
+  const store = useChatbotStore({ apiBase, onEvent, defaultMode, documentIds, contained });
+  return <ChatbotContext.Provider value={store}>{children}</ChatbotContext.Provider>;
+}
+
+// The store of the closest ChatbotProvider
+export const useChatbot = () => {
+  const store = useContext(ChatbotContext);
+  if (!store) {
+    throw new Error('Chatbot components must be rendered inside a ChatbotProvider');
+  }
+  return store;
+};
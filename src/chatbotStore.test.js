@@ -0,0 +1,294 @@
+import React from 'react';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { createApiClient } from './api';
+import { listConversations, saveConversation } from './conversationStore';
+import { ChatbotProvider, useChatbot } from './chatbotStore';
+
+jest.mock('./api', () => ({ ...jest.requireActual('./api'), createApiClient: jest.fn() }));
+// jsdom has no IndexedDB
+jest.mock('./conversationStore', () => ({
+  ...jest.requireActual('./conversationStore'),
+  listConversations: jest.fn(),
+  saveConversation: jest.fn(),
+  deleteConversation: jest.fn()
+}));
+// Pulls in react-markdown, which jest cannot load as ESM; not used here
+jest.mock('./exportConversation', () => ({ exportConversation: jest.fn() }));
+
+const documents = [
+  { pdf_id: 'p1', pdf_name: 'black-holes.pdf' },
+  { pdf_id: 'p2', pdf_name: 'neutron-stars.pdf' }
+];
+
+let api;
+
+beforeEach(() => {
+  api = {
+    listDocuments: jest.fn().mockResolvedValue(documents),
+    deleteDocument: jest.fn().mockResolvedValue({}),
+    streamChat: jest.fn(async (payload, { onToken }) => {
+      onToken('Hello ');
+      onToken('world');
+      return { type: 'done', answer: 'Hello world', sources_used: ['black-holes.pdf'] };
+    }),
+    chat: jest.fn()
+  };
+  createApiClient.mockReturnValue(api);
+  listConversations.mockResolvedValue([]);
+  saveConversation.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  localStorage.clear();
+});
+
+// The store of a ChatbotProvider, once its documents and conversation are loaded
+const renderStore = async (props = {}) => {
+  const wrapper = ({ children }) => <ChatbotProvider {...props}>{children}</ChatbotProvider>;
+  const view = renderHook(() => useChatbot(), { wrapper });
+  await waitFor(() => expect(view.result.current.documents).toHaveLength(2));
+  await waitFor(() => expect(view.result.current.activeConversationId).not.toBeNull());
+  return view;
+};
+
+test('streams an answer to a sent question and saves the conversation', async () => {
+  const onEvent = jest.fn();
+  const { result } = await renderStore({ onEvent });
+
+  act(() => {
+    expect(result.current.sendQuestion('What is a black hole?')).toBe(true);
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+  expect(api.streamChat).toHaveBeenCalledWith(
+    expect.objectContaining({ question: 'What is a black hole?', knowledge_mode: 'augmented' }),
+    expect.anything()
+  );
+  expect(result.current.thread.map(message => [message.role, message.content])).toEqual([
+    ['user', 'What is a black hole?'],
+    ['assistant', 'Hello world']
+  ]);
+  expect(result.current.thread[1]).toMatchObject({ streaming: false, metadata: { mode: 'augmented', sources: ['black-holes.pdf'] } });
+  expect(onEvent).toHaveBeenCalledWith('answer', expect.objectContaining({ answer: 'Hello world' }));
+
+  await waitFor(() => expect(saveConversation).toHaveBeenCalled());
+  const saved = saveConversation.mock.calls[saveConversation.mock.calls.length - 1][0];
+  expect(saved).toMatchObject({ id: result.current.activeConversationId, title: 'What is a black hole?' });
+  expect(saved.messages.map(message => message.content)).toEqual(['What is a black hole?', 'Hello world']);
+});
+
+test('keeps a partial answer marked incomplete when the stream breaks', async () => {
+  api.streamChat.mockImplementation(async (payload, { onToken }) => {
+    onToken('Half an ans');
+    throw new Error('The connection closed before the answer was complete');
+  });
+  const { result } = await renderStore();
+
+  act(() => {
+    result.current.sendQuestion('What is a black hole?');
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+  expect(result.current.thread[1]).toMatchObject({ content: 'Half an ans', streaming: false, incomplete: true });
+  expect(result.current.error).toMatch(/connection closed/);
+});
+
+test('continues a conversation saved before branching existed', async () => {
+  listConversations.mockResolvedValue([{
+    id: 'old',
+    title: 'Black holes',
+    updatedAt: '2023-01-01T00:00:00.000Z',
+    messages: [
+      { id: 'q1', role: 'user', content: 'What is a black hole?' },
+      { id: 'a1', role: 'assistant', content: 'A region of spacetime…' }
+    ],
+    knowledgeMode: 'strict',
+    contextSettings: { maxTurns: 6, maxTokens: 3000 },
+    documentScope: null
+  }]);
+  const { result } = await renderStore();
+
+  expect(result.current.activeConversationId).toBe('old');
+  expect(result.current.knowledgeMode).toBe('strict');
+  expect(result.current.thread.map(message => message.parentId)).toEqual([null, 'q1']);
+
+  act(() => {
+    result.current.sendQuestion('How do they form?');
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  expect(result.current.thread.map(message => message.content))
+    .toEqual(['What is a black hole?', 'A region of spacetime…', 'How do they form?', 'Hello world']);
+  expect(result.current.thread[2].parentId).toBe('a1');
+});
+
+test('toggles documents in and out of the question scope', async () => {
+  const { result } = await renderStore();
+  const toggle = (pdfId) => act(() => result.current.toggleDocumentScope(pdfId));
+
+  toggle('p1');
+  expect(result.current.documentScope).toEqual(['p2']);
+  expect(result.current.isDocumentInScope('p1')).toBe(false);
+  toggle('p1');
+  expect(result.current.documentScope).toBeNull();
+
+  // A saved scope can still name documents deleted since
+  act(() => result.current.setDocumentScope(['p1', 'p2', 'deleted']));
+  toggle('p2');
+  expect(result.current.documentScope).toEqual(['p1']);
+
+  act(() => result.current.setDocumentScope(['p2', 'deleted']));
+  toggle('p1');
+  expect(result.current.documentScope).toBeNull();
+});
+
+test('limits the question to documents mentioned with @', async () => {
+  const { result } = await renderStore();
+
+  act(() => result.current.addDocumentToScope('p2'));
+  expect(result.current.documentScope).toEqual(['p2']);
+  act(() => result.current.addDocumentToScope('p2'));
+  expect(result.current.documentScope).toEqual(['p2']);
+
+  act(() => {
+    result.current.sendQuestion('What is a neutron star?');
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  expect(api.streamChat).toHaveBeenLastCalledWith(expect.objectContaining({ pdf_ids: ['p2'] }), expect.anything());
+
+  act(() => result.current.setDocumentScope(['deleted']));
+  act(() => result.current.addDocumentToScope('p1'));
+  expect(result.current.documentScope).toEqual(['p1']);
+  act(() => result.current.addDocumentToScope('p2'));
+  expect(result.current.documentScope).toBeNull();
+});
+
+test('re-asks an edited question about the documents the original was asked about', async () => {
+  const { result } = await renderStore();
+  act(() => result.current.setDocumentScope(['p1']));
+  act(() => {
+    result.current.sendQuestion('What is a black hole?');
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+  const original = result.current.thread[0];
+  expect(original).toMatchObject({ documentScope: ['p1'], knowledgeMode: 'augmented' });
+
+  // The selection changes before the old question is edited
+  act(() => result.current.setDocumentScope(['p2']));
+  await act(() => result.current.editQuestion(original, 'How do black holes form?', 'strict'));
+
+  expect(api.streamChat).toHaveBeenLastCalledWith(
+    expect.objectContaining({ question: 'How do black holes form?', knowledge_mode: 'strict', pdf_ids: ['p1'] }),
+    expect.anything()
+  );
+  expect(result.current.thread.map(message => message.content)).toEqual(['How do black holes form?', 'Hello world']);
+  expect(result.current.thread[0]).toMatchObject({ parentId: null, documentScope: ['p1'], knowledgeMode: 'strict' });
+  expect(result.current.siblingPositions.get(result.current.thread[0].id)).toEqual({ index: 1, count: 2 });
+});
+
+test('keeps the turns after an edited question on the branch it replaces', async () => {
+  api.streamChat.mockImplementation(async ({ question }, { onToken }) => {
+    onToken(`About ${question}`);
+    return { type: 'done', answer: `About ${question}` };
+  });
+  const { result } = await renderStore();
+  const ask = async (question) => {
+    act(() => {
+      result.current.sendQuestion(question);
+    });
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+  };
+  const contents = () => result.current.thread.map(message => message.content);
+
+  await ask('first');
+  await ask('second');
+  const original = result.current.thread[0];
+  await act(() => result.current.editQuestion(original, 'first, edited', 'augmented'));
+
+  const edited = result.current.thread[0];
+  expect(contents()).toEqual(['first, edited', 'About first, edited']);
+  expect(edited).toMatchObject({ parentId: original.parentId });
+  expect(result.current.messages).toHaveLength(6);
+
+  // Back to the original question, with its follow-up still there
+  act(() => result.current.selectSibling(edited, -1));
+  expect(contents()).toEqual(['first', 'About first', 'second', 'About second']);
+  expect(result.current.siblingPositions.get(original.id)).toEqual({ index: 0, count: 2 });
+
+  act(() => result.current.selectSibling(original, 1));
+  expect(contents()).toEqual(['first, edited', 'About first, edited']);
+});
+
+test('regenerates and compares without the documents deleted since the question', async () => {
+  const { result } = await renderStore();
+  act(() => result.current.setDocumentScope(['p1', 'p2']));
+  act(() => {
+    result.current.sendQuestion('What is a black hole?');
+  });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  const answer = result.current.thread[1];
+
+  act(() => result.current.deleteDocuments(['p2']));
+  await act(() => result.current.regenerate(answer, 'strict'));
+  expect(api.streamChat).toHaveBeenLastCalledWith(expect.objectContaining({ knowledge_mode: 'strict', pdf_ids: ['p1'] }), expect.anything());
+
+  await act(() => result.current.compare(answer));
+  expect(api.streamChat).toHaveBeenLastCalledWith(expect.objectContaining({ pdf_ids: ['p1'] }), expect.anything());
+
+  // Nothing the question was about is left
+  const calls = api.streamChat.mock.calls.length;
+  api.listDocuments.mockResolvedValue([]);
+  await act(async () => result.current.deleteDocuments(['p1']));
+  await act(() => result.current.regenerate(answer, 'strict'));
+  await act(() => result.current.compare(answer));
+  expect(api.streamChat).toHaveBeenCalledTimes(calls);
+  expect(result.current.error).toBe('Select at least one document to ask about');
+});
+
+test('warns instead of sending when the conversation budget would be exceeded', async () => {
+  const { result } = await renderStore();
+  act(() => result.current.setUsageSettings({ ...result.current.usageSettings, conversationBudget: 0.000001 }));
+
+  act(() => {
+    expect(result.current.sendQuestion('What is a black hole?')).toBe(false);
+  });
+  const single = result.current.budgetWarning;
+  expect(single).toMatchObject({ question: 'What is a black hole?', modes: null, spent: 0 });
+  expect(single.projected).toBeGreaterThan(0.000001);
+
+  // Comparing modes asks once per mode
+  act(() => {
+    result.current.sendQuestion('What is a black hole?', ['strict', 'augmented']);
+  });
+  expect(result.current.budgetWarning.projected).toBeCloseTo(single.projected * 2, 10);
+  expect(api.streamChat).not.toHaveBeenCalled();
+  expect(result.current.thread).toHaveLength(0);
+
+  act(() => {
+    expect(result.current.sendQuestion('What is a black hole?', null, { ignoreBudget: true })).toBe(true);
+  });
+  expect(result.current.budgetWarning).toBeNull();
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  expect(api.streamChat).toHaveBeenCalledTimes(1);
+});
+
+test('deletes documents only once the undo period is over', async () => {
+  const { result } = await renderStore();
+  jest.useFakeTimers();
+
+  act(() => result.current.deleteDocuments(['p1']));
+  expect(result.current.documents.map(doc => doc.pdf_id)).toEqual(['p2']);
+
+  act(() => result.current.undoDeletion());
+  act(() => jest.advanceTimersByTime(6000));
+  expect(result.current.documents.map(doc => doc.pdf_id).sort()).toEqual(['p1', 'p2']);
+  expect(api.deleteDocument).not.toHaveBeenCalled();
+
+  act(() => result.current.deleteDocuments(['p2']));
+  await act(async () => {
+    jest.advanceTimersByTime(6000);
+  });
+  expect(api.deleteDocument).toHaveBeenCalledWith('p2');
+  expect(result.current.pendingDeletion).toBeNull();
+});
@@ -0,0 +1,76 @@
+// Helpers for turning `sources_used` into numbered citations.
+
+const CITATION_PREFIX = 'citation-';
+
+export const citationAnchor = (messageId, number) => `${CITATION_PREFIX}${messageId}-${number}`;
+
+export const parseCitationAnchor = (href) => {
+  const match = /^#citation-(.+)-(\d+)$/.exec(href || '');
+  return match ? { messageId: match[1], number: Number(match[2]) } : null;
+};
+
+// The backend has sent sources both as plain names and as chunk objects
+export const normalizeSource = (source, index) => {
+  if (typeof source === 'string') {
+    return { number: index + 1, pdfName: source, page: null, text: '' };
+  }
+  const metadata = source?.metadata || {};
+  return {
+    number: index + 1,
+    pdfId: source?.pdf_id ?? metadata.pdf_id,
+    pdfName: source?.pdf_name ?? metadata.pdf_name ?? source?.source ?? 'Unknown document',
+    page: source?.page ?? source?.page_number ?? metadata.page ?? metadata.page_number ?? null,
+    text: source?.text ?? source?.chunk_text ?? source?.content ?? '',
+    score: source?.score ?? source?.similarity ?? null
+  };
+};
+
+// Rewrites `[1]` / `[1, 2]` markers into markdown links pointing at the
+// message's citations. Code spans, fenced code and math are left untouched.
+export const linkCitationMarkers = (content, messageId, count) => {
+  if (!content || !count) return content;
+
+  const protectedPattern = /(```[\s\S]*?(?:```|$)|`[^`\n]*`|\$\$[\s\S]*?\$\$|\$[^$\n]*\$)/g;
+
+  return content
+    .split(protectedPattern)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      return part.replace(/\[(\d+(?:\s*,\s*\d+)*)\](?![(:[])/g, (marker, numbers) => {
+        const refs = numbers.split(',').map(n => Number(n.trim()));
+        if (refs.some(n => n < 1 || n > count)) return marker;
+        return refs.map(n => `[${n}](#${citationAnchor(messageId, n)})`).join('');
+      });
+    })
+    .join('');
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+
+// Finds the sentence of a retrieved chunk that overlaps most with the answer.
+// Returns `{ start, end }` offsets into `chunkText`, or null if nothing matches well.
+export const findMatchingPassage = (chunkText, answerText, threshold = 0.35) => {
+  if (!chunkText || !answerText) return null;
+
+  const answerWords = new Set(tokenize(answerText));
+  const sentencePattern = /[^.!?\n]+[.!?]*/g;
+  let best = null;
+  let match;
+
+  while ((match = sentencePattern.exec(chunkText)) !== null) {
+    const words = tokenize(match[0]);
+    if (words.length < 3) continue;
+
+    const score = words.filter(word => answerWords.has(word)).length / words.length;
+    if (score >= threshold && (!best || score > best.score)) {
+      const leading = match[0].length - match[0].trimStart().length;
+      best = {
+        start: match.index + leading,
+        end: match.index + match[0].trimEnd().length,
+        score
+      };
+    }
+  }
+
+  return best && { start: best.start, end: best.end };
+};
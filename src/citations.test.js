@@ -0,0 +1,22 @@
+import { linkCitationMarkers, findMatchingPassage, normalizeSource } from './citations';
+
+test('links numbered markers to citation anchors', () => {
+  expect(linkCitationMarkers('Mass grows [1] and spins [2, 3].', 'm1', 3)).toBe(
+    'Mass grows [1](#citation-m1-1) and spins [2](#citation-m1-2)[3](#citation-m1-3).'
+  );
+});
+
+test('leaves out-of-range markers, links and code untouched', () => {
+  const content = 'See [4] and [docs](https://example.com) or `arr[1]`';
+  expect(linkCitationMarkers(content, 'm1', 2)).toBe(content);
+});
+
+test('highlights the chunk sentence that best matches the answer', () => {
+  const chunk = 'The weather was mild. Sagittarius A* has a mass of four million suns.';
+  const passage = findMatchingPassage(chunk, 'Sagittarius A* has a mass of about four million solar masses.');
+  expect(chunk.slice(passage.start, passage.end)).toBe('Sagittarius A* has a mass of four million suns.');
+});
+
+test('normalizes plain-name sources', () => {
+  expect(normalizeSource('paper.pdf', 0)).toMatchObject({ number: 1, pdfName: 'paper.pdf', page: null });
+});
@@ -0,0 +1,54 @@
+// Selects which earlier turns are sent with a question as conversation history.
+
+export const DEFAULT_CONTEXT_SETTINGS = {
+  maxTurns: 6,
+  maxTokens: 2000
+};
+
+// Rough estimate (~4 characters per token) - good enough for budgeting
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Builds the history window for the next question from `messages`.
+ * Walks back from the newest message, keeping whole turns (a question and its
+ * answer) until either `maxTurns` or `maxTokens` would be exceeded.
+ * Returns the `history` to send plus the ids of the messages it came from.
+ */
+export const buildContextWindow = (messages, { maxTurns, maxTokens } = DEFAULT_CONTEXT_SETTINGS) => {
+  const turns = [];
+  let pendingAnswer = null;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.streaming || !message.content) continue;
+
+    if (message.role === 'assistant') {
+      pendingAnswer = message;
+    } else if (message.role === 'user' && pendingAnswer) {
+      turns.push([message, pendingAnswer]);
+      pendingAnswer = null;
+    }
+  }
+
+  const selected = [];
+  let tokens = 0;
+
+  for (const turn of turns) {
+    if (selected.length >= maxTurns) break;
+
+    const turnTokens = turn.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    if (tokens + turnTokens > maxTokens) break;
+
+    selected.unshift(turn);
+    tokens += turnTokens;
+  }
+
+  const included = selected.flat();
+
+  return {
+    history: included.map(message => ({ role: message.role, content: message.content })),
+    messageIds: included.map(message => message.id),
+    turns: selected.length,
+    tokens
+  };
+};
@@ -0,0 +1,27 @@
+import { buildContextWindow } from './conversationContext';
+
+const turn = (n, answer = `Answer ${n}`) => [
+  { id: `u${n}`, role: 'user', content: `Question ${n}` },
+  { id: `a${n}`, role: 'assistant', content: answer }
+];
+
+test('keeps the most recent whole turns within the turn limit', () => {
+  const messages = [...turn(1), ...turn(2), ...turn(3)];
+  const context = buildContextWindow(messages, { maxTurns: 2, maxTokens: 1000 });
+
+  expect(context.messageIds).toEqual(['u2', 'a2', 'u3', 'a3']);
+  expect(context.history[0]).toEqual({ role: 'user', content: 'Question 2' });
+});
+
+test('stops at the token budget', () => {
+  const messages = [...turn(1), ...turn(2, 'x'.repeat(400))];
+  const context = buildContextWindow(messages, { maxTurns: 10, maxTokens: 50 });
+
+  expect(context.turns).toBe(0);
+  expect(context.history).toEqual([]);
+});
+
+test('skips unanswered questions and streaming answers', () => {
+  const messages = [...turn(1), { id: 'u2', role: 'user', content: 'Question 2' }, { id: 'a2', role: 'assistant', content: 'Par', streaming: true }];
+  expect(buildContextWindow(messages, { maxTurns: 5, maxTokens: 1000 }).messageIds).toEqual(['u1', 'a1']);
+});
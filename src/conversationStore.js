@@ -0,0 +1,89 @@
+// Local persistence for conversations, backed by IndexedDB.
+
+import { DEFAULT_CONTEXT_SETTINGS } from './conversationContext';
+
+const DB_NAME = 'pdf-chatbot';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+export const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+export const createConversationId = () => `conv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createConversation = (overrides = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: createConversationId(),
+    title: DEFAULT_CONVERSATION_TITLE,
+    autoTitle: true,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    activeBranches: {},
+    knowledgeMode: 'augmented',
+    contextSettings: DEFAULT_CONTEXT_SETTINGS,
+    documentScope: null,
+    ...overrides
+  };
+};
+
+// Derives a conversation title from its first question
+export const titleFromQuestion = (question, maxLength = 60) => {
+  const firstLine = (question || '').trim().split('\n')[0].replace(/\s+/g, ' ');
+  if (!firstLine) return null;
+  return firstLine.length > maxLength ? `${firstLine.slice(0, maxLength - 1).trimEnd()}…` : firstLine;
+};
+
+// Most recently updated first
+export const listConversations = async () => {
+  const conversations = await runTransaction('readonly', store => store.getAll());
+  return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const saveConversation = (conversation) => runTransaction('readwrite', store => store.put(conversation));
+
+export const deleteConversation = (id) => runTransaction('readwrite', store => store.delete(id));
@@ -0,0 +1,79 @@
+import 'fake-indexeddb/auto';
+import { deserialize, serialize } from 'v8';
+import { getActiveThread, normalizeMessageTree } from './messageTree';
+import {
+  createConversation,
+  deleteConversation,
+  listConversations,
+  saveConversation,
+  titleFromQuestion
+} from './conversationStore';
+
+// jsdom has no structuredClone, which fake-indexeddb stores records with
+global.structuredClone = global.structuredClone || (value => deserialize(serialize(value)));
+
+const conversation = (id, updatedAt, overrides = {}) => createConversation({ id, updatedAt, ...overrides });
+
+beforeEach(async () => {
+  const stored = await listConversations();
+  await Promise.all(stored.map(({ id }) => deleteConversation(id)));
+});
+
+test('saves conversations and lists the most recently updated first', async () => {
+  await saveConversation(conversation('a', '2024-01-01T00:00:00.000Z'));
+  await saveConversation(conversation('b', '2024-03-01T00:00:00.000Z'));
+  await saveConversation(conversation('c', '2024-02-01T00:00:00.000Z'));
+
+  expect((await listConversations()).map(({ id }) => id)).toEqual(['b', 'c', 'a']);
+});
+
+test('loads a saved conversation with its messages and settings', async () => {
+  const saved = conversation('a', '2024-01-01T00:00:00.000Z', {
+    title: 'Black holes',
+    messages: [{ id: 'q', parentId: null, role: 'user', content: 'What is a black hole?' }],
+    activeBranches: { root: 'q' },
+    knowledgeMode: 'strict',
+    documentScope: ['p1']
+  });
+  await saveConversation(saved);
+
+  expect(await listConversations()).toEqual([saved]);
+});
+
+test('renames a conversation by saving it again under the same id', async () => {
+  const saved = conversation('a', '2024-01-01T00:00:00.000Z');
+  await saveConversation(saved);
+  await saveConversation({ ...saved, title: 'Neutron stars', autoTitle: false });
+
+  expect(await listConversations()).toEqual([expect.objectContaining({ id: 'a', title: 'Neutron stars', autoTitle: false })]);
+});
+
+test('deletes a conversation', async () => {
+  await saveConversation(conversation('a', '2024-01-01T00:00:00.000Z'));
+  await saveConversation(conversation('b', '2024-02-01T00:00:00.000Z'));
+  await deleteConversation('a');
+
+  expect((await listConversations()).map(({ id }) => id)).toEqual(['b']);
+});
+
+test('chains the messages of a conversation saved before branching existed', async () => {
+  await saveConversation(conversation('old', '2023-01-01T00:00:00.000Z', {
+    messages: [
+      { id: 'q1', role: 'user', content: 'What is a black hole?' },
+      { id: 'a1', role: 'assistant', content: 'A region of spacetime…' },
+      { id: 'q2', role: 'user', content: 'How do they form?' }
+    ],
+    activeBranches: undefined
+  }));
+
+  const [stored] = await listConversations();
+  const messages = normalizeMessageTree(stored.messages);
+  expect(messages.map(message => message.parentId)).toEqual([null, 'q1', 'a1']);
+  expect(getActiveThread(messages, stored.activeBranches).map(message => message.id)).toEqual(['q1', 'a1', 'q2']);
+});
+
+test('titles a conversation after its first question', () => {
+  expect(titleFromQuestion('  What is a\n black hole?')).toBe('What is a');
+  expect(titleFromQuestion('x'.repeat(80), 10)).toBe('xxxxxxxxx…');
+  expect(titleFromQuestion('   ')).toBeNull();
+});
@@ -0,0 +1,279 @@
+// Renderers for ```mermaid and ```chart fences in answers. Both show the
+// fence's source (the `fallback`) until they have something valid to draw.
+
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { Download, AlertCircle } from 'lucide-react';
+import { downloadFile } from './download';
+
+const CHART_TYPES = ['bar', 'line'];
+const CHART_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171'];
+const CHART_SIZE = { width: 640, height: 320, top: 40, right: 20, bottom: 48, left: 56 };
+
+/**
+ * Parses a chart fence:
+ *   { "type": "bar" | "line", "title": "...", "labels": [...],
+ *     "datasets": [{ "label": "...", "data": [numbers] }] }
+ * A single series may be given as top-level `data`. Throws with a readable
+ * message when the spec is unusable.
+ */
+export const parseChartSpec = (source) => {
+  let spec;
+  try {
+    spec = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Chart spec is not valid JSON: ${error.message}`);
+  }
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Chart spec must be a JSON object');
+  }
+
+  const type = spec.type || 'bar';
+  if (!CHART_TYPES.includes(type)) {
+    throw new Error(`Unsupported chart type "${type}" (use ${CHART_TYPES.join(' or ')})`);
+  }
+
+  const datasets = spec.datasets || spec.series || (spec.data ? [{ label: spec.label || '', data: spec.data }] : []);
+  if (!Array.isArray(datasets) || datasets.length === 0) {
+    throw new Error('Chart spec needs "labels" and at least one dataset');
+  }
+  datasets.forEach(dataset => {
+    if (!Array.isArray(dataset?.data) || dataset.data.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error(`Dataset "${dataset?.label || 'unnamed'}" must have numeric "data"`);
+    }
+  });
+
+  const labels = spec.labels || datasets[0].data.map((_, index) => String(index + 1));
+  if (!Array.isArray(labels) || labels.length === 0) {
+    throw new Error('Chart spec needs "labels" and at least one dataset');
+  }
+  datasets.forEach(dataset => {
+    if (dataset.data.length !== labels.length) {
+      throw new Error(`Dataset "${dataset.label || 'unnamed'}" has ${dataset.data.length} values for ${labels.length} labels`);
+    }
+  });
+
+  return { type, title: spec.title || '', labels: labels.map(String), datasets };
+};
+
+// Round tick step (1, 2 or 5 times a power of ten) giving about `count` ticks
+const niceStep = (range, count = 5) => {
+  const rough = range / count;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  return [1, 2, 5, 10].map(factor => factor * power).find(step => step >= rough);
+};
+
+export const chartScale = (datasets) => {
+  const values = datasets.flatMap(dataset => dataset.data);
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const step = niceStep(max - min || 1);
+  const low = Math.floor(min / step) * step;
+  const high = Math.ceil(max / step) * step || step;
+  const ticks = [];
+  for (let tick = low; tick <= high + step / 2; tick += step) ticks.push(Number(tick.toPrecision(12)));
+  return { low, high, ticks };
+};
+
+// Standalone SVG (explicit colours and fonts) so the downloaded file looks the same
+function ChartSvg({ spec, svgRef }) {
+  const { width, height, top, right, bottom, left } = CHART_SIZE;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const { low, high, ticks } = chartScale(spec.datasets);
+  const y = (value) => top + plotHeight - ((value - low) / (high - low)) * plotHeight;
+  const band = plotWidth / spec.labels.length;
+  const barWidth = (band * 0.7) / spec.datasets.length;
+
+  return (
+    <svg
+      ref={svgRef}
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      fontFamily="ui-sans-serif, system-ui, sans-serif"
+      fontSize="11"
+      role="img"
+      aria-label={spec.title || `${spec.type} chart`}
+    >
+      <rect width={width} height={height} fill="#171717" />
+      {spec.title && (
+        <text x={width / 2} y={20} textAnchor="middle" fill="#f5f5f5" fontSize="14" fontWeight="600">{spec.title}</text>
+      )}
+
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={left} x2={width - right} y1={y(tick)} y2={y(tick)} stroke={tick === 0 ? '#737373' : '#404040'} />
+          <text x={left - 6} y={y(tick)} dy="0.32em" textAnchor="end" fill="#a3a3a3">{tick}</text>
+        </g>
+      ))}
+
+      {spec.labels.map((label, index) => (
+        <text key={index} x={left + band * (index + 0.5)} y={height - bottom + 16} textAnchor="middle" fill="#a3a3a3">
+          {label.length > 14 ? `${label.slice(0, 13)}…` : label}
+        </text>
+      ))}
+
+      {spec.datasets.map((dataset, datasetIndex) => {
+        const color = dataset.color || CHART_COLORS[datasetIndex % CHART_COLORS.length];
+        if (spec.type === 'line') {
+          const points = dataset.data.map((value, index) => [left + band * (index + 0.5), y(value)]);
+          return (
+            <g key={datasetIndex}>
+              <polyline points={points.map(point => point.join(',')).join(' ')} fill="none" stroke={color} strokeWidth="2" />
+              {points.map(([cx, cy], index) => <circle key={index} cx={cx} cy={cy} r="3" fill={color} />)}
+            </g>
+          );
+        }
+        return (
+          <g key={datasetIndex}>
+            {dataset.data.map((value, index) => (
+              <rect
+                key={index}
+                x={left + band * index + band * 0.15 + barWidth * datasetIndex}
+                y={Math.min(y(value), y(0))}
+                width={barWidth}
+                height={Math.abs(y(value) - y(0))}
+                fill={color}
+              />
+            ))}
+          </g>
+        );
+      })}
+
+      {spec.datasets.length > 1 && spec.datasets.map((dataset, index) => (
+        <g key={index} transform={`translate(${left + index * 120}, ${height - 14})`}>
+          <rect width="10" height="10" y="-9" fill={dataset.color || CHART_COLORS[index % CHART_COLORS.length]} />
+          <text x="14" fill="#d4d4d4">{dataset.label}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function DiagramFrame({ label, onDownload, children }) {
+  return (
+    <div className="my-4 rounded-lg overflow-hidden border border-neutral-600/50 shadow-lg">
+      <div className="flex items-center gap-1 px-3 py-1.5 bg-neutral-800 border-b border-neutral-700 text-xs text-neutral-400">
+        <span className="flex-1 font-mono">{label}</span>
+        <button
+          onClick={onDownload}
+          className="markdown-actions flex items-center gap-1 px-1.5 py-0.5 rounded hover:text-neutral-100 hover:bg-neutral-700 transition-colors"
+          title="Download SVG"
+        >
+          <Download className="w-3 h-3" />
+          SVG
+        </button>
+      </div>
+      <div className="p-3 bg-neutral-900 overflow-x-auto">{children}</div>
+    </div>
+  );
+}
+
+function SourceWithError({ error, fallback }) {
+  return (
+    <>
+      {fallback}
+      <p className="-mt-3 mb-4 flex items-center gap-1 text-xs text-neutral-400">
+        <AlertCircle className="w-3 h-3 flex-shrink-0" />
+        {error}
+      </p>
+    </>
+  );
+}
+
+export function ChartDiagram({ source, fallback }) {
+  const svgRef = useRef(null);
+
+  let spec;
+  try {
+    spec = parseChartSpec(source);
+  } catch (error) {
+    return <SourceWithError error={error.message} fallback={fallback} />;
+  }
+
+  const handleDownload = () => {
+    const svg = new XMLSerializer().serializeToString(svgRef.current);
+    downloadFile('chart.svg', svg, 'image/svg+xml');
+  };
+
+  return (
+    <DiagramFrame label={`${spec.type} chart`} onDownload={handleDownload}>
+      <ChartSvg spec={spec} svgRef={svgRef} />
+    </DiagramFrame>
+  );
+}
+
+let mermaidPromise = null;
+let diagramCount = 0;
+
+// Mermaid is large, so it is only loaded once an answer contains a diagram
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, theme: 'dark', securityLevel: 'strict' });
+      return mermaid;
+    });
+    mermaidPromise.catch(() => {
+      mermaidPromise = null;
+    });
+  }
+  return mermaidPromise;
+};
+
+// Renders mermaid `source` to an SVG string; throws when it is invalid
+export const renderMermaid = async (source) => {
+  const mermaid = await loadMermaid();
+  // parse() throws on invalid source without leaving error output in the page
+  await mermaid.parse(source);
+  const { svg } = await mermaid.render(`mermaid-diagram-${++diagramCount}`, source);
+  return svg;
+};
+
+// SVGs rendered beforehand, by diagram source, for static rendering such as
+// exports, where MermaidDiagram's effect never runs
+export const RenderedDiagrams = createContext(null);
+
+// Whether the answer is still streaming in. Its diagrams are half written
+// until it is done, so they are not rendered before then.
+export const StreamingAnswer = createContext(false);
+
+export function MermaidDiagram({ source, fallback }) {
+  const rendered = useContext(RenderedDiagrams)?.get(source) ?? null;
+  const streaming = useContext(StreamingAnswer);
+  const [svg, setSvg] = useState(rendered);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (streaming) return;
+    let cancelled = false;
+
+    renderMermaid(source)
+      .then((renderedSvg) => {
+        if (!cancelled) {
+          setSvg(renderedSvg);
+          setError(null);
+        }
+      })
+      .catch((renderError) => {
+        if (!cancelled) {
+          setSvg(null);
+          setError(renderError?.message?.split('\n')[0] || 'Invalid diagram');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, streaming]);
+
+  if (streaming) return fallback;
+  if (error) return <SourceWithError error={`Diagram could not be rendered: ${error}`} fallback={fallback} />;
+  if (!svg) return fallback;
+
+  return (
+    <DiagramFrame label="mermaid" onDownload={() => downloadFile('diagram.svg', svg, 'image/svg+xml')}>
+      <div className="flex justify-center [&_svg]:max-w-full" dangerouslySetInnerHTML={{ __html: svg }} />
+    </DiagramFrame>
+  );
+}
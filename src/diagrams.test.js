@@ -0,0 +1,59 @@
+import { render, screen } from '@testing-library/react';
+import mermaid from 'mermaid';
+import { parseChartSpec, chartScale, MermaidDiagram, StreamingAnswer } from './diagrams';
+
+// The real mermaid is ESM and needs a browser layout
+jest.mock('mermaid', () => ({
+  __esModule: true,
+  default: { initialize: jest.fn(), parse: jest.fn(), render: jest.fn() }
+}));
+
+beforeEach(() => {
+  mermaid.parse.mockResolvedValue(true);
+  mermaid.render.mockResolvedValue({ svg: '<svg><title>Rendered diagram</title></svg>' });
+});
+
+test('parses chart specs with a single series', () => {
+  expect(parseChartSpec('{"type": "line", "labels": ["Q1", "Q2"], "data": [3, 5]}')).toMatchObject({
+    type: 'line',
+    labels: ['Q1', 'Q2'],
+    datasets: [{ data: [3, 5] }]
+  });
+});
+
+test('explains why a chart spec is rejected', () => {
+  expect(() => parseChartSpec('{"type": "bar",')).toThrow(/not valid JSON/);
+  expect(() => parseChartSpec('{"type": "pie", "data": [1]}')).toThrow(/Unsupported chart type "pie"/);
+  expect(() => parseChartSpec('{"labels": ["a"], "datasets": [{"label": "x", "data": ["1"]}]}')).toThrow(/numeric "data"/);
+  expect(() => parseChartSpec('null')).toThrow('Chart spec must be a JSON object');
+  expect(() => parseChartSpec('[1, 2]')).toThrow('Chart spec must be a JSON object');
+  expect(() => parseChartSpec('{"datasets": [{"label": "x"}]}')).toThrow('Dataset "x" must have numeric "data"');
+  expect(() => parseChartSpec('{"datasets": [null]}')).toThrow(/numeric "data"/);
+  expect(() => parseChartSpec('{"datasets": []}')).toThrow(/at least one dataset/);
+  expect(() => parseChartSpec('{"labels": ["a", "b", "c"], "datasets": [{"label": "x", "data": [1, 2]}]}'))
+    .toThrow('Dataset "x" has 2 values for 3 labels');
+});
+
+test('uses round ticks that include zero', () => {
+  expect(chartScale([{ data: [12, 47, 33] }]).ticks).toEqual([0, 10, 20, 30, 40, 50]);
+  expect(chartScale([{ data: [-3, 4] }]).ticks).toEqual([-4, -2, 0, 2, 4]);
+});
+
+test('draws a mermaid diagram only once its answer has finished streaming', async () => {
+  const diagram = (streaming, source) => (
+    <StreamingAnswer.Provider value={streaming}>
+      <MermaidDiagram source={source} fallback={<pre>{source}</pre>} />
+    </StreamingAnswer.Provider>
+  );
+  const { rerender } = render(diagram(true, 'graph TD'));
+  rerender(diagram(true, 'graph TD\nA --> B'));
+
+  expect(screen.getByText(/A --> B/)).toBeInTheDocument();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(mermaid.parse).not.toHaveBeenCalled();
+
+  rerender(diagram(false, 'graph TD\nA --> B'));
+  expect(await screen.findByTitle('Download SVG')).toBeInTheDocument();
+  expect(mermaid.render).toHaveBeenCalledTimes(1);
+  expect(mermaid.render).toHaveBeenCalledWith(expect.any(String), 'graph TD\nA --> B');
+});
@@ -0,0 +1,70 @@
+// Sorting, filtering and user-defined tags for the Documents list. Tags are
+// kept in localStorage, keyed by pdf_id, since the backend has no notion of them.
+
+const TAGS_KEY = 'pdf-chatbot:document-tags';
+
+const uploadTime = (doc) => Date.parse(doc.uploaded_at || doc.created_at || '') || 0;
+const pageCount = (doc) => doc.page_count ?? doc.pages?.length ?? 0;
+
+export const DOCUMENT_SORTS = {
+  name: { label: 'Name', compare: (a, b) => a.pdf_name.localeCompare(b.pdf_name, undefined, { numeric: true }) },
+  date: { label: 'Newest', compare: (a, b) => uploadTime(b) - uploadTime(a) },
+  pages: { label: 'Pages', compare: (a, b) => pageCount(b) - pageCount(a) },
+  chunks: { label: 'Chunks', compare: (a, b) => (b.chunk_count || 0) - (a.chunk_count || 0) }
+};
+
+export const sortDocuments = (documents, sortKey) =>
+  [...documents].sort((DOCUMENT_SORTS[sortKey] || DOCUMENT_SORTS.name).compare);
+
+// Documents whose name matches `query` and that carry `tag`, when given
+export const filterDocuments = (documents, { query = '', tag = null, tags = {} } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return documents.filter(doc =>
+    (!needle || doc.pdf_name.toLowerCase().includes(needle)) &&
+    (!tag || (tags[doc.pdf_id] || []).includes(tag))
+  );
+};
+
+export const loadDocumentTags = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TAGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveDocumentTags = (tags) => localStorage.setItem(TAGS_KEY, JSON.stringify(tags));
+
+// All tags in use, alphabetically
+export const listTags = (tags) => [...new Set(Object.values(tags).flat())].sort((a, b) => a.localeCompare(b));
+
+export const addTag = (tags, pdfIds, tag) => {
+  const name = tag.trim();
+  if (!name) return tags;
+  const next = { ...tags };
+  pdfIds.forEach(id => {
+    const current = next[id] || [];
+    if (!current.includes(name)) next[id] = [...current, name];
+  });
+  return next;
+};
+
+export const removeTag = (tags, pdfIds, tag) => {
+  const next = { ...tags };
+  pdfIds.forEach(id => {
+    const remaining = (next[id] || []).filter(existing => existing !== tag);
+    if (remaining.length > 0) {
+      next[id] = remaining;
+    } else {
+      delete next[id];
+    }
+  });
+  return next;
+};
+
+// Drops the tags of deleted documents
+export const clearTags = (tags, pdfIds) => {
+  const next = { ...tags };
+  pdfIds.forEach(id => delete next[id]);
+  return next;
+};
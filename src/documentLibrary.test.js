@@ -0,0 +1,27 @@
+import { sortDocuments, filterDocuments, addTag, removeTag, listTags } from './documentLibrary';
+
+const documents = [
+  { pdf_id: 'a', pdf_name: 'paper 10.pdf', chunk_count: 5, pages: [1, 2], uploaded_at: '2024-01-02T00:00:00Z' },
+  { pdf_id: 'b', pdf_name: 'paper 9.pdf', chunk_count: 12, pages: [1], uploaded_at: '2024-03-01T00:00:00Z' },
+  { pdf_id: 'c', pdf_name: 'Notes.md', chunk_count: 1, uploaded_at: '2023-12-01T00:00:00Z' }
+];
+
+test('sorts by name, date, pages and chunks', () => {
+  const ids = (key) => sortDocuments(documents, key).map(doc => doc.pdf_id);
+  expect(ids('name')).toEqual(['c', 'b', 'a']);
+  expect(ids('date')).toEqual(['b', 'a', 'c']);
+  expect(ids('pages')).toEqual(['a', 'b', 'c']);
+  expect(ids('chunks')).toEqual(['b', 'a', 'c']);
+});
+
+test('tags documents in bulk and filters by tag and name', () => {
+  let tags = addTag({}, ['a', 'b'], ' physics ');
+  tags = addTag(tags, ['c'], 'notes');
+  expect(listTags(tags)).toEqual(['notes', 'physics']);
+
+  expect(filterDocuments(documents, { tag: 'physics', tags }).map(doc => doc.pdf_id)).toEqual(['a', 'b']);
+  expect(filterDocuments(documents, { query: '10', tag: 'physics', tags }).map(doc => doc.pdf_id)).toEqual(['a']);
+
+  tags = removeTag(tags, ['c'], 'notes');
+  expect(tags).toEqual({ a: ['physics'], b: ['physics'] });
+});
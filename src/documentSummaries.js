@@ -0,0 +1,62 @@
+// Generated document summaries, cached in localStorage per pdf_id, and the
+// starter questions offered in an empty conversation.
+
+const SUMMARIES_KEY = 'pdf-chatbot:summaries';
+
+export const loadSummaries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SUMMARIES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveSummaries = (summaries) => {
+  try {
+    localStorage.setItem(SUMMARIES_KEY, JSON.stringify(summaries));
+  } catch (error) {
+    // Quota exceeded: summaries are only a cache
+    console.warn('Failed to cache summaries:', error);
+  }
+};
+
+// Accepts the backend's snake_case fields and plain string outlines
+export const normalizeSummary = (data) => {
+  const summary = data?.summary && typeof data.summary === 'object' ? data.summary : data || {};
+  return {
+    abstract: summary.abstract || (typeof data?.summary === 'string' ? data.summary : ''),
+    keyPoints: summary.key_points || summary.keyPoints || [],
+    outline: (summary.outline || summary.sections || []).map(section => (
+      typeof section === 'string' ? { title: section, page: null } : { title: section.title, page: section.page ?? null }
+    )),
+    questions: summary.suggested_questions || data?.suggested_questions || [],
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Starter questions for the given documents: questions the backend suggested
+ * first, then ones derived from section titles, then a generic question per
+ * document. Takes from each document in turn so one does not crowd out the rest.
+ */
+export const suggestQuestions = (documents, summaries, limit = 4) => {
+  const perDocument = documents.map(doc => {
+    const summary = summaries[doc.pdf_id];
+    const name = doc.pdf_name.replace(/\.[a-z0-9]+$/i, '');
+    return [
+      ...(summary?.questions || []),
+      ...(summary?.outline || []).slice(0, 3).map(section => `What does "${name}" say about ${section.title}?`),
+      `What are the main findings of "${name}"?`
+    ];
+  });
+
+  const questions = [];
+  for (let round = 0; questions.length < limit && perDocument.some(list => list.length > round); round++) {
+    perDocument.forEach(list => {
+      if (list[round] && questions.length < limit && !questions.includes(list[round])) {
+        questions.push(list[round]);
+      }
+    });
+  }
+  return questions;
+};
@@ -0,0 +1,25 @@
+import { normalizeSummary, suggestQuestions } from './documentSummaries';
+
+test('normalizes summaries from the backend', () => {
+  const summary = normalizeSummary({
+    summary: { abstract: 'About stars.', key_points: ['Stars fuse hydrogen'], outline: ['Introduction', { title: 'Methods', page: 3 }] },
+    suggested_questions: ['How do stars form?']
+  });
+  expect(summary).toMatchObject({
+    abstract: 'About stars.',
+    keyPoints: ['Stars fuse hydrogen'],
+    outline: [{ title: 'Introduction', page: null }, { title: 'Methods', page: 3 }],
+    questions: ['How do stars form?']
+  });
+});
+
+test('interleaves suggested questions across documents', () => {
+  const documents = [{ pdf_id: 'a', pdf_name: 'stars.pdf' }, { pdf_id: 'b', pdf_name: 'planets.pdf' }];
+  const summaries = { a: { questions: ['How do stars form?', 'Why do stars die?'], outline: [] } };
+
+  expect(suggestQuestions(documents, summaries, 3)).toEqual([
+    'How do stars form?',
+    'What are the main findings of "planets"?',
+    'Why do stars die?'
+  ]);
+});
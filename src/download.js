@@ -0,0 +1,58 @@
+// Saves generated content as a file via a temporary object URL
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Turns a title into a safe file name stem
+export const toFileStem = (title, fallback = 'export') => {
+  const stem = (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return stem || fallback;
+};
+
+// File extensions for fenced code block languages; unknown ones fall back to .txt
+const LANGUAGE_EXTENSIONS = {
+  python: 'py', py: 'py', javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+  json: 'json', html: 'html', css: 'css', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', sql: 'sql',
+  java: 'java', c: 'c', cpp: 'cpp', csharp: 'cs', cs: 'cs', go: 'go', rust: 'rs', ruby: 'rb', php: 'php',
+  r: 'r', yaml: 'yaml', yml: 'yml', xml: 'xml', markdown: 'md', md: 'md', latex: 'tex', tex: 'tex',
+  csv: 'csv', kotlin: 'kt', swift: 'swift', scala: 'scala', dockerfile: 'Dockerfile'
+};
+
+export const extensionForLanguage = (language) => LANGUAGE_EXTENSIONS[(language || '').toLowerCase()] || 'txt';
+
+// Joins table rows as TSV (tabs and newlines inside cells become spaces) or CSV (RFC 4180 quoting)
+export const toDelimitedText = (rows, delimiter = ',') => rows
+  .map(row => row.map(cell => {
+    const text = String(cell ?? '');
+    if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter))
+  .join('\n');
+
+export const copyToClipboard = async (text) => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Fallback for insecure contexts where the async clipboard API is missing
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  textarea.remove();
+};
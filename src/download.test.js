@@ -0,0 +1,12 @@
+import { toDelimitedText, extensionForLanguage } from './download';
+
+test('quotes CSV cells that need it and flattens TSV cells', () => {
+  const rows = [['Name', 'Note'], ['A, B', 'say "hi"'], ['tab\there', 'line\nbreak']];
+  expect(toDelimitedText(rows, ',')).toBe('Name,Note\n"A, B","say ""hi"""\ntab\there,"line\nbreak"');
+  expect(toDelimitedText(rows, '\t')).toBe('Name\tNote\nA, B\tsay "hi"\ntab here\tline break');
+});
+
+test('maps code languages to file extensions', () => {
+  expect(extensionForLanguage('Python')).toBe('py');
+  expect(extensionForLanguage('unknown')).toBe('txt');
+});
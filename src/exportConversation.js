@@ -0,0 +1,303 @@
+// Exports a conversation as Markdown, self-contained HTML or a printable PDF.
+
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import remarkGfm from 'remark-gfm';
+import { MarkdownComponents } from './markdownComponents';
+import { RenderedDiagrams, renderMermaid } from './diagrams';
+import { citationAnchor, parseCitationAnchor, normalizeSource, linkCitationMarkers } from './citations';
+import { downloadFile, toFileStem } from './download';
+import { normalizeTokenUsage } from './usageStats';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  html: { label: 'HTML', extension: 'html' },
+  pdf: { label: 'PDF (print)', extension: 'pdf' }
+};
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+const describeMode = (modes, key) => (modes[key] ? `${modes[key].icon} ${modes[key].name}` : key);
+
+const describeTokenUsage = (tokenUsage) => {
+  const usage = normalizeTokenUsage(tokenUsage);
+  if (!usage) return null;
+  const { prompt, completion, total } = usage;
+  return prompt != null && completion != null
+    ? `${total} tokens (${prompt} prompt / ${completion} completion)`
+    : `${total} tokens`;
+};
+
+const describeSource = (source) => (source.page != null ? `${source.pdfName}, p. ${source.page}` : source.pdfName);
+
+const messageSources = (message) => (message.metadata?.sources || []).map(normalizeSource);
+
+export const conversationToMarkdown = (conversation, modes) => {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `_Exported ${formatTimestamp(new Date().toISOString())}_`
+  ];
+
+  for (const message of conversation.messages) {
+    lines.push('', '---', '');
+
+    if (message.role === 'user') {
+      lines.push(`**You** · ${formatTimestamp(message.timestamp)}`, '', message.content);
+      continue;
+    }
+
+    const details = [formatTimestamp(message.timestamp)];
+    if (message.metadata) {
+      details.push(describeMode(modes, message.metadata.mode));
+      const usage = describeTokenUsage(message.metadata.tokenUsage);
+      if (usage) details.push(usage);
+    }
+    lines.push(`**Assistant** · ${details.filter(Boolean).join(' · ')}`, '', message.content);
+
+    const sources = messageSources(message);
+    if (sources.length > 0) {
+      lines.push('', '**Sources**', '');
+      for (const source of sources) {
+        lines.push(`${source.number}. ${describeSource(source)}`);
+        if (source.text) {
+          lines.push(...source.text.trim().split('\n').map(line => `   > ${line}`));
+        }
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Citation markers become plain in-page links in the exported file
+const exportMarkdownComponents = {
+  ...MarkdownComponents,
+  a: ({ children, href }) => (
+    parseCitationAnchor(href)
+      ? <sup><a href={href} className="text-blue-400 no-underline px-0.5">[{children}]</a></sup>
+      : MarkdownComponents.a({ children, href })
+  )
+};
+
+function ExportedConversation({ conversation, modes }) {
+  return (
+    <main className="max-w-3xl mx-auto p-6 space-y-6">
+      <header className="pb-4 border-b border-neutral-700">
+        <h1 className="text-2xl font-bold text-white">{conversation.title}</h1>
+        <p className="text-sm text-neutral-400 mt-1">Exported {formatTimestamp(new Date().toISOString())}</p>
+      </header>
+
+      {conversation.messages.map((message, index) => {
+        if (message.role === 'user') {
+          return (
+            <section key={message.id || index} className="export-message flex flex-col items-end gap-1">
+              <div className="rounded-2xl px-4 py-3 w-fit max-w-2xl bg-neutral-700 text-neutral-100 border border-neutral-600">
+                <div className="whitespace-pre-wrap">{message.content}</div>
+              </div>
+              <span className="text-xs text-neutral-500">{formatTimestamp(message.timestamp)}</span>
+            </section>
+          );
+        }
+
+        const sources = messageSources(message);
+        return (
+          <section key={message.id || index} className="export-message">
+            <div className="max-w-none text-neutral-100">
+              <ReactMarkdown
+                remarkPlugins={[remarkMath, remarkGfm]}
+                rehypePlugins={[rehypeKatex]}
+                components={exportMarkdownComponents}
+              >
+                {linkCitationMarkers(message.content, message.id, sources.length)}
+              </ReactMarkdown>
+            </div>
+
+            {message.metadata && (
+              <div className="mt-3 pt-3 border-t border-neutral-700/50 text-xs text-neutral-400">
+                <div className="flex items-center gap-4 flex-wrap">
+                  <span>{describeMode(modes, message.metadata.mode)}</span>
+                  {describeTokenUsage(message.metadata.tokenUsage) && (
+                    <span>{describeTokenUsage(message.metadata.tokenUsage)}</span>
+                  )}
+                  <span>{formatTimestamp(message.timestamp)}</span>
+                </div>
+
+                {sources.length > 0 && (
+                  <ol className="mt-3 space-y-2">
+                    {sources.map((source) => (
+                      <li
+                        key={source.number}
+                        id={citationAnchor(message.id, source.number)}
+                        className="rounded-lg border border-neutral-700 bg-neutral-800/60 p-3"
+                      >
+                        <div className="text-neutral-300 mb-1">
+                          <span className="font-semibold text-neutral-100">[{source.number}]</span> {describeSource(source)}
+                        </div>
+                        {source.text && (
+                          <p className="text-neutral-400 whitespace-pre-wrap">{source.text}</p>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </main>
+  );
+}
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const URL_PATTERN = /url\(\s*["']?([^"')]+)["']?\s*\)/g;
+
+// The other formats of a font that is also offered as woff2 (listed first),
+// which every browser that can open the export reads
+const FONT_FALLBACK_PATTERN = /,\s*url\(\s*["']?[^"')]+\.(?:woff|ttf|otf|eot)(?:[?#][^"')]*)?["']?\s*\)(?:\s*format\([^)]*\))?/g;
+
+// Embeds every file the styles refer to as a data URI, resolved against the
+// stylesheet, so the export needs nothing from the network. Files that
+// cannot be fetched are left out.
+const inlineUrls = async (css, baseUrl) => {
+  const trimmed = css.replace(FONT_FALLBACK_PATTERN, '');
+  // data: URIs are already inline; #fragments point into the document itself
+  const isExternal = (url) => !url.startsWith('data:') && !url.startsWith('#');
+  const urls = [...new Set(Array.from(trimmed.matchAll(URL_PATTERN), match => match[1]))].filter(isExternal);
+  const replacements = {};
+
+  await Promise.all(urls.map(async (url) => {
+    const absolute = new URL(url, baseUrl).href;
+    try {
+      const response = await fetch(absolute);
+      if (response.ok) {
+        replacements[url] = `url("${await blobToDataUrl(await response.blob())}")`;
+      }
+    } catch (error) {
+      console.warn(`Could not inline ${absolute}:`, error);
+    }
+  }));
+
+  return trimmed.replace(URL_PATTERN, (match, url) => (isExternal(url) ? replacements[url] || 'none' : match));
+};
+
+// Copies the app's own styles (Tailwind utilities, KaTeX) into the export.
+// In the widget they live in its shadow root, not in the page.
+const collectStyles = async (root = document) => {
+  const isShadowRoot = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+  const styleSheets = isShadowRoot ? root.styleSheets : document.styleSheets;
+  const sheets = await Promise.all(Array.from(styleSheets).map(async (sheet) => {
+    try {
+      const css = Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+      return inlineUrls(css, sheet.href || document.baseURI);
+    } catch {
+      // Cross-origin stylesheets cannot be read
+      return '';
+    }
+  }));
+  return sheets.join('\n');
+};
+
+const EXPORT_CSS = `
+  .markdown-actions { display: none !important; }
+  body { margin: 0; background: #171717; color: #f5f5f5; font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif; }
+  @page { margin: 14mm; }
+  @media print {
+    body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .export-message { break-inside: avoid-page; }
+  }
+`;
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+const MERMAID_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})mermaid[^\n]*\n([\s\S]*?)\n {0,3}\1[ \t]*$/gm;
+
+// Renders the answers' mermaid diagrams up front, as the static markup never
+// runs MermaidDiagram's effect. Invalid diagrams keep showing their source.
+const renderDiagrams = async (messages) => {
+  const sources = new Set(messages
+    .filter(message => message.role === 'assistant')
+    .flatMap(message => Array.from(message.content.matchAll(MERMAID_FENCE_PATTERN), match => match[2])));
+
+  const rendered = new Map();
+  await Promise.all([...sources].map(async (source) => {
+    try {
+      rendered.set(source, await renderMermaid(source));
+    } catch {
+      // Exported as source
+    }
+  }));
+  return rendered;
+};
+
+// `styleRoot` is the document or shadow root the chatbot is rendered in
+export const conversationToHtml = async (conversation, modes, styleRoot) => {
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  const diagrams = await renderDiagrams(conversation.messages);
+  const body = renderToStaticMarkup(
+    <RenderedDiagrams.Provider value={diagrams}>
+      <ExportedConversation conversation={conversation} modes={modes} />
+    </RenderedDiagrams.Provider>
+  );
+  const css = await collectStyles(styleRoot);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${css}</style>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+// Prints the HTML export from a hidden frame so the browser can save it as PDF
+const printHtml = (html) => new Promise((resolve) => {
+  const frame = document.createElement('iframe');
+  Object.assign(frame.style, { position: 'fixed', right: '0', bottom: '0', width: '0', height: '0', border: '0' });
+
+  frame.onload = async () => {
+    const frameWindow = frame.contentWindow;
+    await frameWindow.document.fonts?.ready;
+    frameWindow.addEventListener('afterprint', () => frame.remove());
+    frameWindow.focus();
+    frameWindow.print();
+    resolve();
+  };
+
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+});
+
+export const exportConversation = async (conversation, format, modes, styleRoot) => {
+  const stem = toFileStem(conversation.title, 'conversation');
+
+  switch (format) {
+    case 'markdown':
+      downloadFile(`${stem}.md`, conversationToMarkdown(conversation, modes), 'text/markdown');
+      break;
+    case 'html':
+      downloadFile(`${stem}.html`, await conversationToHtml(conversation, modes, styleRoot), 'text/html');
+      break;
+    case 'pdf':
+      await printHtml(await conversationToHtml(conversation, modes, styleRoot));
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
@@ -0,0 +1,97 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { KnowledgeModes } from './knowledgeModes';
+import { conversationToHtml, conversationToMarkdown } from './exportConversation';
+
+// jsdom has no TextEncoder, which react-dom/server needs
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// The markdown and highlighting packages are ESM, which jest cannot load.
+// This stand-in renders paragraphs and fenced code through the same components.
+jest.mock('react-markdown', () => {
+  const React = require('react');
+  return ({ children, components }) => children.split(/^```/m).map((part, index) => {
+    if (index % 2 === 0) {
+      return part.trim() ? <React.Fragment key={index}>{components.p({ children: part.trim() })}</React.Fragment> : null;
+    }
+    const [language, ...lines] = part.split('\n');
+    return <React.Fragment key={index}>{components.code({ className: `language-${language}`, children: lines.join('\n') })}</React.Fragment>;
+  });
+});
+jest.mock('remark-math', () => () => {});
+jest.mock('remark-gfm', () => () => {});
+jest.mock('rehype-katex', () => () => {});
+jest.mock('react-syntax-highlighter', () => ({ Prism: ({ children }) => <pre>{children}</pre> }));
+jest.mock('react-syntax-highlighter/dist/esm/styles/prism', () => ({ oneDark: {} }));
+jest.mock('mermaid', () => ({
+  __esModule: true,
+  default: {
+    initialize: jest.fn(),
+    parse: jest.fn(async (source) => {
+      if (source.includes('-->>')) throw new Error('Parse error');
+    }),
+    render: jest.fn(async (id, source) => ({ svg: `<svg id="${id}"><text>${source.split('\n')[0]}</text></svg>` }))
+  }
+}));
+
+const conversation = {
+  title: 'Black holes',
+  messages: [
+    { id: 'q1', role: 'user', content: 'What is a black hole?', timestamp: '2024-01-01T10:00:00.000Z' },
+    {
+      id: 'a1',
+      role: 'assistant',
+      content: 'A region of spacetime [1].\n\n```mermaid\ngraph TD\nA --> B\n```\n\n```mermaid\nsequenceDiagram\nA -->> B\n```\n',
+      timestamp: '2024-01-01T10:00:05.000Z',
+      metadata: {
+        mode: 'strict',
+        tokenUsage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+        sources: [{ pdf_name: 'black-holes.pdf', page: 3, text: 'Gravity so strong\nthat light cannot escape' }]
+      }
+    }
+  ]
+};
+
+afterEach(() => {
+  delete global.fetch;
+  document.head.innerHTML = '';
+});
+
+test('exports a conversation as Markdown', () => {
+  const markdown = conversationToMarkdown(conversation, KnowledgeModes);
+
+  expect(markdown).toMatch(/^# Black holes\n/);
+  expect(markdown).toContain('**You** · ');
+  expect(markdown).toContain('\n\nWhat is a black hole?\n');
+  expect(markdown).toMatch(/\*\*Assistant\*\* · .+ · 🔒 Strict RAG · 150 tokens \(120 prompt \/ 30 completion\)\n/);
+  expect(markdown).toContain('**Sources**\n\n1. black-holes.pdf, p. 3\n   > Gravity so strong\n   > that light cannot escape\n');
+});
+
+test('exports self-contained HTML with the styles and diagrams inlined', async () => {
+  const style = document.createElement('style');
+  style.textContent = `
+    @font-face { font-family: KaTeX; src: url(/fonts/katex.woff2) format("woff2"), url(/fonts/katex.woff) format("woff"); }
+    .hero { background-image: url("/images/missing.png"); }
+  `;
+  document.head.appendChild(style);
+  global.fetch = jest.fn(async (url) => (url.endsWith('.woff2')
+    ? { ok: true, blob: async () => new Blob(['font'], { type: 'font/woff2' }) }
+    : { ok: false, status: 404 }));
+
+  const html = await conversationToHtml(conversation, KnowledgeModes);
+
+  // Only the woff2 of the font is fetched
+  expect(fetch.mock.calls.map(([url]) => url).sort())
+    .toEqual(['http://localhost/fonts/katex.woff2', 'http://localhost/images/missing.png']);
+  expect(html).toContain('url("data:font/woff2;base64,');
+  expect(html).not.toContain('/fonts/katex.woff');
+  expect(html).not.toContain('/images/missing.png');
+  expect(html).toContain('background-image: none');
+
+  expect(html).toContain('<title>Black holes</title>');
+  expect(html).toContain('What is a black hole?');
+  // The valid diagram is drawn, the invalid one keeps its source
+  expect(html).toMatch(/<svg id="mermaid-diagram-\d+"><text>graph TD<\/text><\/svg>/);
+  expect(html).not.toContain('A --&gt; B');
+  expect(html).toContain('A --&gt;&gt; B');
+});
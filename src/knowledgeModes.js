@@ -0,0 +1,87 @@
+// How answers may use the uploaded documents; sent as `knowledge_mode`.
+// Besides the built-in modes users can define their own, kept in
+// localStorage. A custom mode runs on one of the retrieval behaviours the
+// backend knows and adds its own instructions and number of chunks.
+
+const CUSTOM_MODES_KEY = 'pdf-chatbot:knowledge-modes';
+
+export const KnowledgeModes = {
+  strict: {
+    name: 'Strict RAG',
+    description: 'Answers only from PDFs',
+    icon: '🔒'
+  },
+  augmented: {
+    name: 'Augmented',
+    description: 'PDFs + AI knowledge',
+    icon: '📊'
+  },
+  expert: {
+    name: 'Expert Analysis',
+    description: 'Deep analysis & insights',
+    icon: '🎓'
+  }
+};
+
+// Built-in modes a custom mode can build on
+export const RETRIEVAL_BASES = ['strict', 'augmented'];
+
+export const DEFAULT_MODE = 'augmented';
+export const DEFAULT_TOP_K = 5;
+export const MAX_TOP_K = 20;
+
+export const createCustomModeId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * A custom mode with every field filled in: `name`, `icon`, `description`,
+ * `instructions`, `base` (one of RETRIEVAL_BASES) and `topK`. Throws when the
+ * mode has no name.
+ */
+export const normalizeCustomMode = (mode) => {
+  const name = String(mode.name || '').trim();
+  if (!name) throw new Error('Give the mode a name');
+
+  const topK = parseInt(mode.topK, 10);
+  return {
+    name,
+    icon: String(mode.icon || '').trim() || '✨',
+    description: String(mode.description || '').trim(),
+    instructions: String(mode.instructions || '').trim(),
+    base: RETRIEVAL_BASES.includes(mode.base) ? mode.base : DEFAULT_MODE,
+    topK: Number.isNaN(topK) ? DEFAULT_TOP_K : Math.min(Math.max(topK, 1), MAX_TOP_K),
+    custom: true
+  };
+};
+
+export const loadCustomModes = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_MODES_KEY)) || {};
+    // Entries that no longer validate are dropped rather than breaking the selector
+    return Object.fromEntries(Object.entries(stored).flatMap(([id, mode]) => {
+      try {
+        return [[id, normalizeCustomMode(mode)]];
+      } catch {
+        return [];
+      }
+    }));
+  } catch {
+    return {};
+  }
+};
+
+export const saveCustomModes = (modes) => localStorage.setItem(CUSTOM_MODES_KEY, JSON.stringify(modes));
+
+// `mode` when it exists in `modes`, otherwise the default mode
+export const resolveMode = (modes, mode) => (modes[mode] ? mode : DEFAULT_MODE);
+
+// The /chat fields that select `mode`
+export const modeRequestFields = (modes, mode) => {
+  const custom = modes[mode]?.custom ? modes[mode] : null;
+  if (!custom) return { knowledge_mode: mode };
+
+  const fields = { knowledge_mode: custom.base, mode_name: custom.name, top_k: custom.topK };
+  if (custom.instructions) {
+    fields.instructions = custom.instructions;
+  }
+  return fields;
+};
@@ -0,0 +1,34 @@
+import { KnowledgeModes, normalizeCustomMode, loadCustomModes, saveCustomModes, resolveMode, modeRequestFields } from './knowledgeModes';
+
+const legal = normalizeCustomMode({
+  name: ' Legal review ',
+  icon: '⚖️',
+  instructions: 'Quote verbatim and flag uncertainty.',
+  base: 'strict',
+  topK: '40'
+});
+
+test('fills in and clamps custom mode fields', () => {
+  expect(legal).toMatchObject({ name: 'Legal review', base: 'strict', topK: 20, custom: true });
+  expect(normalizeCustomMode({ name: 'Exec summary', base: 'expert', topK: 'many' }))
+    .toMatchObject({ icon: '✨', base: 'augmented', topK: 5 });
+  expect(() => normalizeCustomMode({ name: '  ' })).toThrow('Give the mode a name');
+});
+
+test('sends custom modes as their base behaviour with instructions and top-k', () => {
+  const modes = { ...KnowledgeModes, legal };
+  expect(modeRequestFields(modes, 'expert')).toEqual({ knowledge_mode: 'expert' });
+  expect(modeRequestFields(modes, 'legal')).toEqual({
+    knowledge_mode: 'strict',
+    mode_name: 'Legal review',
+    top_k: 20,
+    instructions: 'Quote verbatim and flag uncertainty.'
+  });
+  expect(resolveMode(modes, 'deleted-mode')).toBe('augmented');
+});
+
+test('keeps valid custom modes across reloads', () => {
+  saveCustomModes({ legal, broken: { name: '' } });
+  expect(loadCustomModes()).toEqual({ legal });
+  localStorage.clear();
+});
@@ -0,0 +1,25 @@
+/**
+ * Least-recently-used cache: reading an entry keeps it, and the oldest
+ * entries are dropped once more than `limit` are stored.
+ */
+export const createLruCache = (limit) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > limit) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+};
@@ -0,0 +1,14 @@
+import { createLruCache } from './lruCache';
+
+test('drops the least recently used entries past the limit', () => {
+  const cache = createLruCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  expect(cache.get('a')).toBe(1);
+  cache.set('c', 3);
+
+  expect(cache.get('b')).toBeUndefined();
+  expect(cache.get('a')).toBe(1);
+  expect(cache.get('c')).toBe(3);
+  expect(cache.size).toBe(2);
+});
@@ -0,0 +1,11 @@
+/* eslint-disable no-restricted-globals */
+// Parses answers off the main thread; see MarkdownContent.js for the client
+import { markdownToTree } from './markdownPipeline';
+
+self.onmessage = ({ data: { id, markdown } }) => {
+  try {
+    self.postMessage({ id, tree: markdownToTree(markdown) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,245 @@
+import React, { useState, useRef } from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { Copy, Check, Download, WrapText } from 'lucide-react';
+import { downloadFile, copyToClipboard, extensionForLanguage, toDelimitedText } from './download';
+import { MermaidDiagram, ChartDiagram } from './diagrams';
+
+const toolbarButtonClass = 'flex items-center gap-1 px-1.5 py-0.5 rounded hover:text-neutral-100 hover:bg-neutral-700 transition-colors';
+
+// Shows a check mark for a moment after a successful copy
+function CopyButton({ getText, label = 'Copy' }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await copyToClipboard(getText());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <button onClick={handleCopy} className={toolbarButtonClass} title={label}>
+      {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+      {copied ? 'Copied' : label}
+    </button>
+  );
+}
+
+// Fenced code block with a language label and copy / download / wrap controls
+function CodeBlock({ language, code, ...props }) {
+  const [wrap, setWrap] = useState(false);
+
+  return (
+    <div className="my-4 rounded-lg overflow-hidden border border-neutral-600/50 shadow-lg">
+      <div className="flex items-center gap-1 px-3 py-1.5 bg-neutral-800 border-b border-neutral-700 text-xs text-neutral-400">
+        <span className="flex-1 font-mono">{language || 'text'}</span>
+        <span className="markdown-actions flex items-center gap-1">
+          <CopyButton getText={() => code} />
+          <button
+            onClick={() => downloadFile(`snippet.${extensionForLanguage(language)}`, code)}
+            className={toolbarButtonClass}
+            title="Download as file"
+          >
+            <Download className="w-3 h-3" />
+          </button>
+          <button
+            onClick={() => setWrap(!wrap)}
+            className={`${toolbarButtonClass} ${wrap ? 'text-neutral-100 bg-neutral-700' : ''}`}
+            title={wrap ? 'Disable line wrap' : 'Wrap long lines'}
+          >
+            <WrapText className="w-3 h-3" />
+          </button>
+        </span>
+      </div>
+      {language ? (
+        <SyntaxHighlighter
+          style={oneDark}
+          language={language}
+          PreTag="div"
+          wrapLongLines={wrap}
+          customStyle={{
+            margin: 0,
+            borderRadius: 0,
+            padding: '1rem',
+            fontSize: '0.875rem',
+            lineHeight: '1.6',
+          }}
+          {...props}
+        >
+          {code}
+        </SyntaxHighlighter>
+      ) : (
+        <pre className={`bg-neutral-900 text-neutral-100 p-4 ${wrap ? 'whitespace-pre-wrap break-words' : 'overflow-x-auto'}`}>
+          <code className="font-mono text-sm" {...props}>
+            {code}
+          </code>
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// Table with copy-as-TSV and download-as-CSV, read from the rendered cells
+function DataTable({ children }) {
+  const tableRef = useRef(null);
+
+  const readRows = () => Array.from(tableRef.current?.rows || [], row =>
+    Array.from(row.cells, cell => cell.textContent.trim())
+  );
+
+  return (
+    <div className="my-4 rounded-lg border border-neutral-600/50 overflow-hidden">
+      <div className="markdown-actions flex items-center justify-end gap-1 px-2 py-1 bg-neutral-800 border-b border-neutral-700 text-xs text-neutral-400">
+        <CopyButton getText={() => toDelimitedText(readRows(), '\t')} label="Copy as TSV" />
+        <button
+          onClick={() => downloadFile('table.csv', toDelimitedText(readRows(), ','), 'text/csv')}
+          className={toolbarButtonClass}
+          title="Download as CSV"
+        >
+          <Download className="w-3 h-3" />
+          CSV
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table ref={tableRef} className="min-w-full border-collapse">
+          {children}
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Markdown components with custom styling
+export const MarkdownComponents = {
+  // Paragraphs
+  p: ({ children }) => <p className="mb-3 last:mb-0">{children}</p>,
+  
+  // Headings
+  h1: ({ children }) => <h1 className="text-2xl font-bold mb-3 text-neutral-100">{children}</h1>,
+  h2: ({ children }) => <h2 className="text-xl font-bold mb-3 text-neutral-100">{children}</h2>,
+  h3: ({ children }) => <h3 className="text-lg font-semibold mb-2 text-neutral-100">{children}</h3>,
+  
+  // Lists
+  ul: ({ children }) => (
+    <ul className="list-disc mb-3 space-y-1 pl-6">
+      {children}
+    </ul>
+  ),
+  
+  ol: ({ children }) => (
+    <ol className="list-decimal mb-3 space-y-1 pl-6">
+      {children}
+    </ol>
+  ),
+  
+  li: ({ children }) => (
+    <li className="ml-0 pl-2">
+      {children}
+    </li>
+  ),
+  
+  // Code blocks
+  code: ({ node, inline, className, children, ...props }) => {
+    const match = /language-(\w+)/.exec(className || '');
+    const codeContent = String(children).replace(/\n$/, '');
+    
+    // Detect if this is a single-line code block masquerading as a block
+    const isSingleLine = !match && !codeContent.includes('\n') && codeContent.length < 100;
+    
+    // Treat inline code OR single-line blocks as inline
+    if (inline || isSingleLine) {
+      return (
+        <code 
+          style={{
+            display: 'inline',
+            backgroundColor: '#525252',
+            color: '#e5e5e5',
+            padding: '2px 6px',
+            borderRadius: '4px',
+            fontSize: '13px',
+            fontFamily: 'monospace',
+            whiteSpace: 'nowrap',
+            verticalAlign: 'baseline'
+          }}
+          {...props}
+        >
+          {children}
+        </code>
+      );
+    }
+    
+    const codeBlock = <CodeBlock language={match?.[1]} code={codeContent} {...props} />;
+
+    // Diagrams fall back to their source while invalid, e.g. mid-stream
+    if (match?.[1] === 'mermaid') {
+      return <MermaidDiagram source={codeContent} fallback={codeBlock} />;
+    }
+    if (match?.[1] === 'chart') {
+      return <ChartDiagram source={codeContent} fallback={codeBlock} />;
+    }
+
+    // Block code, syntax highlighted when it has a language tag
+    return codeBlock;
+  },
+
+
+  // Blockquotes
+  blockquote: ({ children }) => (
+    <blockquote className="border-l-4 border-neutral-600 pl-4 italic mb-3 text-neutral-300">
+      {children}
+    </blockquote>
+  ),
+  
+  // Links
+  a: ({ children, href }) => (
+    <a href={href} className="text-blue-400 hover:text-blue-300 underline" target="_blank" rel="noopener noreferrer">
+      {children}
+    </a>
+  ),
+  
+  // Strong/Bold
+  strong: ({ children }) => <strong className="font-bold text-neutral-100">{children}</strong>,
+  
+  // Emphasis/Italic
+  em: ({ children }) => <em className="italic">{children}</em>,
+  
+  // Horizontal rule
+  hr: () => <hr className="border-neutral-700 my-4" />,
+  
+  // Tables
+  table: ({ children }) => <DataTable>{children}</DataTable>,
+
+  thead: ({ children }) => (
+    <thead className="bg-neutral-800">
+      {children}
+    </thead>
+  ),
+
+  tbody: ({ children }) => (
+    <tbody className="bg-neutral-900/50 divide-y divide-neutral-700">
+      {children}
+    </tbody>
+  ),
+
+  tr: ({ children }) => (
+    <tr className="hover:bg-neutral-800/30 transition-colors">
+      {children}
+    </tr>
+  ),
+
+  th: ({ children }) => (
+    <th className="px-4 py-3 text-left font-semibold text-neutral-100 border-b-2 border-neutral-600">
+      {children}
+    </th>
+  ),
+
+  td: ({ children }) => (
+    <td className="px-4 py-3 text-neutral-200">
+      {children}
+    </td>
+  ),
+};
@@ -0,0 +1,62 @@
+// Markdown → HTML syntax tree (hast) with math typeset by KaTeX. Runs inside
+// markdown.worker.js; the tree is turned into React elements on the main
+// thread so custom components (citations, code toolbars, diagrams) still apply.
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import remarkRehype from 'remark-rehype';
+import { fromHtml } from 'hast-util-from-html';
+import { visit, SKIP } from 'unist-util-visit';
+import { urlAttributes } from 'html-url-attributes';
+import { defaultUrlTransform } from 'react-markdown';
+import katex from 'katex';
+
+const hasClass = (element, name) =>
+  Array.isArray(element.properties.className) && element.properties.className.includes(name);
+
+const textOf = (node) => (node.type === 'text' ? node.value : (node.children || []).map(textOf).join(''));
+
+// Same output as rehype-katex, whose browser build parses KaTeX's HTML with
+// DOMParser, which workers do not have
+const rehypeKatexHtml = () => (tree) => {
+  visit(tree, 'element', (element, index, parent) => {
+    // Display math arrives as <pre><code class="math-display">
+    const code = element.tagName === 'pre' && element.children[0]?.type === 'element' ? element.children[0] : element;
+    const display = hasClass(code, 'math-display');
+    if (!display && !hasClass(code, 'math-inline')) return;
+
+    const html = katex.renderToString(textOf(code), { displayMode: display, throwOnError: false, strict: 'ignore' });
+    const rendered = fromHtml(html, { fragment: true }).children;
+    parent.children.splice(index, 1, ...rendered);
+    return [SKIP, index + rendered.length];
+  });
+};
+
+// What react-markdown does before rendering: raw HTML is shown as text and
+// URLs with unsafe protocols are dropped
+const rehypeSafeOutput = () => (tree) => {
+  visit(tree, (node, index, parent) => {
+    if (node.type === 'raw' && parent) {
+      parent.children[index] = { type: 'text', value: node.value };
+      return;
+    }
+    if (node.type !== 'element') return;
+    Object.entries(urlAttributes).forEach(([key, tags]) => {
+      if (Object.hasOwn(node.properties, key) && (tags === null || tags.includes(node.tagName))) {
+        node.properties[key] = defaultUrlTransform(String(node.properties[key] || ''));
+      }
+    });
+  });
+};
+
+const processor = unified()
+  .use(remarkParse)
+  .use(remarkMath)
+  .use(remarkGfm)
+  .use(remarkRehype, { allowDangerousHtml: true })
+  .use(rehypeKatexHtml)
+  .use(rehypeSafeOutput);
+
+export const markdownToTree = (markdown) => processor.runSync(processor.parse(markdown));
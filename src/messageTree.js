@@ -0,0 +1,63 @@
+// Conversations are stored as a tree: every message points at the message it
+// follows through `parentId`. Regenerated answers and edited questions become
+// siblings, and `activeBranches` records which sibling is shown for each parent.
+
+const ROOT_KEY = 'root';
+
+export const branchKey = (parentId) => parentId ?? ROOT_KEY;
+
+export const getChildren = (messages, parentId) =>
+  messages.filter(message => (message.parentId ?? null) === (parentId ?? null));
+
+// Messages saved before branching existed form a single chain
+export const normalizeMessageTree = (messages) => {
+  if (messages.every(message => 'parentId' in message)) return messages;
+  return messages.map((message, index) => ({
+    ...message,
+    parentId: index === 0 ? null : messages[index - 1].id
+  }));
+};
+
+/**
+ * Returns the visible conversation: starting at the root, follows the
+ * selected child of each message, or the newest child when none is selected.
+ */
+export const getActiveThread = (messages, activeBranches = {}) => {
+  const childrenByParent = new Map();
+  for (const message of messages) {
+    const key = branchKey(message.parentId);
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(message);
+  }
+
+  const thread = [];
+  let key = ROOT_KEY;
+
+  while (childrenByParent.has(key)) {
+    const children = childrenByParent.get(key);
+    const selectedId = activeBranches[key];
+    const next = children.find(child => child.id === selectedId) || children[children.length - 1];
+    thread.push(next);
+    key = next.id;
+  }
+
+  return thread;
+};
+
+// Alternatives to `message`, including itself, in creation order
+export const getSiblings = (messages, message) =>
+  getChildren(messages, message.parentId).filter(sibling => sibling.role === message.role);
+
+// Each message's place among its alternates: index and count of siblings
+export const getSiblingPositions = (messages) => {
+  const groups = new Map();
+  for (const message of messages) {
+    const key = `${branchKey(message.parentId)}:${message.role}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(message.id);
+  }
+
+  const positions = new Map();
+  groups.forEach(ids => ids.forEach((id, index) => positions.set(id, { index, count: ids.length })));
+  return positions;
+};
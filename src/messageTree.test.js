@@ -0,0 +1,40 @@
+import { branchKey, getActiveThread, getSiblings, getSiblingPositions, normalizeMessageTree } from './messageTree';
+
+const messages = [
+  { id: 'u1', parentId: null, role: 'user' },
+  { id: 'a1', parentId: 'u1', role: 'assistant' },
+  { id: 'a1b', parentId: 'u1', role: 'assistant' },
+  { id: 'u2', parentId: 'a1', role: 'user' }
+];
+
+test('follows the newest child by default', () => {
+  expect(getActiveThread(messages).map(m => m.id)).toEqual(['u1', 'a1b']);
+});
+
+test('follows selected branches', () => {
+  expect(getActiveThread(messages, { u1: 'a1' }).map(m => m.id)).toEqual(['u1', 'a1', 'u2']);
+});
+
+test('lists alternates of a message', () => {
+  expect(getSiblings(messages, messages[1]).map(m => m.id)).toEqual(['a1', 'a1b']);
+});
+
+test('numbers alternates of every message', () => {
+  const positions = getSiblingPositions(messages);
+  expect(positions.get('a1b')).toEqual({ index: 1, count: 2 });
+  expect(positions.get('u2')).toEqual({ index: 0, count: 1 });
+});
+
+test('chains messages saved without parents', () => {
+  const legacy = normalizeMessageTree([{ id: 'x' }, { id: 'y' }]);
+  expect(legacy.map(m => m.parentId)).toEqual([null, 'x']);
+});
+
+test('shows an edited question as a new branch beside the original', () => {
+  const edited = [...messages, { id: 'u1b', parentId: null, role: 'user' }, { id: 'a2', parentId: 'u1b', role: 'assistant' }];
+
+  expect(getActiveThread(edited).map(m => m.id)).toEqual(['u1b', 'a2']);
+  expect(getSiblingPositions(edited).get('u1b')).toEqual({ index: 1, count: 2 });
+  // Going back to the original keeps its answers and follow-ups
+  expect(getActiveThread(edited, { [branchKey(null)]: 'u1', u1: 'a1' }).map(m => m.id)).toEqual(['u1', 'a1', 'u2']);
+});
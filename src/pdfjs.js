@@ -0,0 +1,8 @@
+// pdf.js with its worker configured. Import this module (lazily where
+// possible) instead of `pdfjs-dist` so the worker is only set up once.
+
+import * as pdfjsLib from 'pdfjs-dist';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+export default pdfjsLib;
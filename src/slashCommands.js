@@ -0,0 +1,135 @@
+// Commands typed as "/name" at the start of the question box. Prompt
+// templates insert a prompt, after asking for any {{placeholders}} in it;
+// actions switch the knowledge mode or start over. Users' own templates are
+// kept in localStorage.
+
+const TEMPLATES_KEY = 'pdf-chatbot:prompt-templates';
+
+export const BuiltInTemplates = {
+  summarize: {
+    name: 'summarize',
+    description: 'Summarize the selected documents',
+    text: 'Summarize the main findings, methods and conclusions of the selected documents.'
+  },
+  compare: {
+    name: 'compare',
+    description: 'Compare one aspect of two documents',
+    text: 'Compare the {{aspect}} of {{first document}} and {{second document}}. Where do they agree, where do they differ, and why?'
+  },
+  equations: {
+    name: 'equations',
+    description: 'List the equations in a section',
+    text: 'List all equations in {{section}} and explain what each one describes.'
+  }
+};
+
+const ACTIONS = {
+  mode: 'Switch to',
+  clear: 'Start a new conversation'
+};
+
+const RESERVED_NAMES = [...Object.keys(ACTIONS), ...Object.keys(BuiltInTemplates)];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export const createTemplateId = () => `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// "Methods Review" → "methods-review"
+export const toCommandName = (name) => String(name || '')
+  .trim()
+  .replace(/^\/+/, '')
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^\p{L}\p{N}_-]/gu, '');
+
+// Placeholder names in the order they first appear
+export const extractPlaceholders = (text) =>
+  [...new Set(Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]))];
+
+export const fillTemplate = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (_, name) => String(values[name] ?? '').trim());
+
+/**
+ * A saved template with `name` (the command, without the slash),
+ * `description` and `text`. Throws when the name is missing or taken by a
+ * built-in command or another of `templates` than the one saved as `id`.
+ */
+export const normalizeTemplate = (template, templates = {}, id = null) => {
+  const name = toCommandName(template.name);
+  if (!name) throw new Error('Give the template a command name');
+  if (RESERVED_NAMES.includes(name)) throw new Error(`/${name} is a built-in command`);
+  if (Object.entries(templates).some(([key, other]) => key !== id && other.name === name)) {
+    throw new Error(`/${name} is already used by another template`);
+  }
+
+  const text = String(template.text || '').trim();
+  if (!text) throw new Error('Write the prompt the template inserts');
+
+  return { name, description: String(template.description || '').trim(), text };
+};
+
+export const loadTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TEMPLATES_KEY)) || {};
+    return Object.fromEntries(Object.entries(stored).flatMap(([id, template]) => {
+      try {
+        return [[id, normalizeTemplate(template)]];
+      } catch {
+        return [];
+      }
+    }));
+  } catch {
+    return {};
+  }
+};
+
+export const saveTemplates = (templates) => localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+
+// `/mode` arguments: built-in modes go by their key, custom ones by their
+// name. A name that is taken (by a built-in command or another mode) or
+// empty gets a number instead of hiding the other command.
+const modeArguments = (modes) => {
+  const taken = new Set([...RESERVED_NAMES, ...Object.keys(modes).filter(key => !modes[key].custom)]);
+  return Object.entries(modes).map(([key, mode]) => {
+    if (!mode.custom) return key;
+    const base = toCommandName(mode.name) || 'custom';
+    let argument = base;
+    for (let count = 2; taken.has(argument); count++) argument = `${base}-${count}`;
+    taken.add(argument);
+    return argument;
+  });
+};
+
+/**
+ * Every command for the popup: built-in and saved templates (`template`,
+ * plus `id` for saved ones), then `/mode <mode>` for each of `modes` and
+ * `/clear` (`action`).
+ */
+export const listSlashCommands = (modes, templates) => {
+  const modeNames = modeArguments(modes);
+  return [
+    ...Object.values(BuiltInTemplates).map(template => ({ name: template.name, description: template.description, template })),
+    ...Object.entries(templates).map(([id, template]) => ({ name: template.name, description: template.description, template, id })),
+    ...Object.entries(modes).map(([key, mode], index) => ({
+      name: `mode ${modeNames[index]}`,
+      description: `${ACTIONS.mode} ${mode.icon} ${mode.name}`,
+      action: 'mode',
+      mode: key
+    })),
+    { name: 'clear', description: ACTIONS.clear, action: 'clear' }
+  ];
+};
+
+// What follows a leading "/" while the box holds a single line, else null
+export const parseSlashQuery = (value) => {
+  const match = /^\/([^\n]*)$/.exec(value);
+  return match ? match[1] : null;
+};
+
+// Commands starting with `query` first, then those containing it
+export const matchSlashCommands = (commands, query) => {
+  const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  const starting = commands.filter(command => command.name.startsWith(normalized));
+  const containing = commands.filter(command => !command.name.startsWith(normalized) && command.name.includes(normalized));
+  return [...starting, ...containing];
+};
@@ -0,0 +1,54 @@
+import { KnowledgeModes } from './knowledgeModes';
+import {
+  extractPlaceholders,
+  fillTemplate,
+  normalizeTemplate,
+  listSlashCommands,
+  matchSlashCommands,
+  parseSlashQuery
+} from './slashCommands';
+
+test('fills the placeholders of a template', () => {
+  const text = 'Compare the {{ aspect }} of {{first}} and {{second}}, focusing on {{aspect}}.';
+  expect(extractPlaceholders(text)).toEqual(['aspect', 'first', 'second']);
+  expect(fillTemplate(text, { aspect: 'methodology', first: 'paper A ', second: 'paper B' }))
+    .toBe('Compare the methodology of paper A and paper B, focusing on methodology.');
+});
+
+test('validates saved templates', () => {
+  const saved = { existing: { name: 'methods', description: '', text: 'Describe the methods.' } };
+  expect(normalizeTemplate({ name: '/Key Results', text: ' List the key results. ' }, saved))
+    .toEqual({ name: 'key-results', description: '', text: 'List the key results.' });
+  expect(() => normalizeTemplate({ name: 'clear', text: 'x' })).toThrow('/clear is a built-in command');
+  expect(() => normalizeTemplate({ name: 'methods', text: 'x' }, saved)).toThrow('already used');
+  expect(normalizeTemplate({ name: 'methods', text: 'x' }, saved, 'existing').name).toBe('methods');
+  expect(() => normalizeTemplate({ name: 'empty', text: ' ' })).toThrow('Write the prompt');
+});
+
+test('suggests commands for what follows the slash', () => {
+  const modes = { ...KnowledgeModes, 'custom-1': { name: 'Legal Review', icon: '⚖️', custom: true } };
+  const commands = listSlashCommands(modes, { t1: { name: 'recap', description: '', text: 'Recap.' } });
+
+  expect(parseSlashQuery('/mode st')).toBe('mode st');
+  expect(parseSlashQuery('What does /clear do?')).toBeNull();
+  expect(parseSlashQuery('/summarize\nmore')).toBeNull();
+
+  expect(matchSlashCommands(commands, 'mode st').map(command => command.mode)).toEqual(['strict']);
+  expect(matchSlashCommands(commands, 'mode legal')[0]).toMatchObject({ action: 'mode', mode: 'custom-1' });
+  expect(matchSlashCommands(commands, 'cap')[0]).toMatchObject({ name: 'recap', id: 't1' });
+  expect(matchSlashCommands(commands, 'c').map(command => command.name)).toEqual(['compare', 'clear', 'recap', 'mode strict']);
+});
+
+test('gives custom modes whose names are taken a numbered command', () => {
+  const modes = {
+    ...KnowledgeModes,
+    a: { name: 'Strict', icon: '🔒', custom: true },
+    b: { name: 'Summarize', icon: '📝', custom: true },
+    c: { name: 'summarize', icon: '📝', custom: true },
+    d: { name: '🎯', icon: '🎯', custom: true }
+  };
+  const names = listSlashCommands(modes, {}).filter(command => command.action === 'mode').map(command => command.name);
+
+  expect(names).toEqual(['mode strict', 'mode augmented', 'mode expert', 'mode strict-2', 'mode summarize-2', 'mode summarize-3', 'mode custom']);
+  expect(new Set(names).size).toBe(names.length);
+});
@@ -0,0 +1,74 @@
+// Kinds of sources that can be added to the knowledge base. The key is sent
+// to the backend as `source_type`.
+
+import { FileText, FileType, FileCode, File, Globe, Hash } from 'lucide-react';
+
+export const SOURCE_TYPES = {
+  pdf: {
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    icon: FileText
+  },
+  docx: {
+    label: 'Word',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    icon: FileType
+  },
+  markdown: {
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    icon: Hash
+  },
+  text: {
+    label: 'Text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    icon: File
+  },
+  html: {
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html'],
+    icon: FileCode
+  },
+  url: {
+    label: 'Web page',
+    extensions: [],
+    mimeTypes: [],
+    icon: Globe
+  }
+};
+
+// Value for a file input's `accept` attribute
+export const ACCEPTED_FILE_TYPES = Object.values(SOURCE_TYPES)
+  .flatMap(type => [...type.extensions, ...type.mimeTypes])
+  .join(',');
+
+// Extension first: browsers often report Markdown as text/plain or nothing at all
+export const detectSourceType = (file) => {
+  const name = file.name.toLowerCase();
+  const byExtension = Object.keys(SOURCE_TYPES).find(key =>
+    SOURCE_TYPES[key].extensions.some(extension => name.endsWith(extension))
+  );
+  if (byExtension) return byExtension;
+  return Object.keys(SOURCE_TYPES).find(key => SOURCE_TYPES[key].mimeTypes.includes(file.type)) || null;
+};
+
+// Source type of a document listed by the backend; older backends only index PDFs
+export const documentSourceType = (doc) => {
+  if (SOURCE_TYPES[doc.source_type]) return doc.source_type;
+  if (doc.source_url) return 'url';
+  return detectSourceType({ name: doc.pdf_name || '', type: '' }) || 'pdf';
+};
+
+export const isWebUrl = (value) => {
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,141 @@
+// Checks run on a source before it is uploaded: supported type, size limit,
+// whether the same content has already been indexed and, for PDFs, a readable
+// (not password-protected) document and its page count.
+
+import { detectSourceType } from './sourceTypes';
+
+const HASH_REGISTRY_KEY = 'pdf-chatbot:upload-hashes';
+
+export const MAX_UPLOAD_SIZE = (Number(process.env.REACT_APP_MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+
+const readAsArrayBuffer = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+// Hex-encoded SHA-256 of the file contents
+export const hashBuffer = async (buffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Hashes of files uploaded from this browser, mapped to the document they became
+const readHashRegistry = () => {
+  try {
+    return JSON.parse(localStorage.getItem(HASH_REGISTRY_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const rememberUploadHash = (hash, document) => {
+  if (!hash || !document?.pdf_id) return;
+  const registry = readHashRegistry();
+  registry[hash] = { pdf_id: document.pdf_id, pdf_name: document.pdf_name };
+  localStorage.setItem(HASH_REGISTRY_KEY, JSON.stringify(registry));
+};
+
+/**
+ * Maps content hashes to indexed documents. Uses the hash the backend reports
+ * (`sha256`) when it has one, and otherwise the hashes remembered from earlier
+ * uploads, as long as their document still exists.
+ */
+export const getKnownHashes = (documents) => {
+  const known = new Map();
+  const byId = new Map(documents.map(doc => [doc.pdf_id, doc]));
+
+  Object.entries(readHashRegistry()).forEach(([hash, { pdf_id }]) => {
+    if (byId.has(pdf_id)) known.set(hash, byId.get(pdf_id));
+  });
+  documents.forEach(doc => {
+    if (doc.sha256) known.set(doc.sha256, doc);
+  });
+  return known;
+};
+
+// Opens the document with pdf.js to find its page count
+const inspectPdf = async (buffer) => {
+  const { default: pdfjsLib } = await import('./pdfjs');
+  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer) });
+
+  try {
+    const doc = await loadingTask.promise;
+    const pageCount = doc.numPages;
+    await doc.destroy();
+    return { pageCount };
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      return { error: 'PDF is password-protected' };
+    }
+    return { error: `PDF could not be read (${error?.message || 'corrupt file'})` };
+  } finally {
+    loadingTask.destroy();
+  }
+};
+
+const checkSize = (file, maxSize) => {
+  if (file.size === 0) return 'File is empty';
+  if (file.size > maxSize) return `File is larger than the ${Math.round(maxSize / (1024 * 1024))} MB limit`;
+  return null;
+};
+
+/**
+ * Validates a PDF before upload.
+ * Resolves with `{ hash, pageCount, duplicateOf, error }`: `error` is set when
+ * the file must not be uploaded, `duplicateOf` when an identical document is
+ * already indexed.
+ */
+export async function validatePdfFile(file, { knownHashes = new Map(), maxSize = MAX_UPLOAD_SIZE } = {}) {
+  const result = { hash: null, pageCount: null, duplicateOf: null, error: null };
+
+  const sizeError = checkSize(file, maxSize);
+  if (sizeError) {
+    return { ...result, error: sizeError };
+  }
+
+  const header = new Uint8Array(await readAsArrayBuffer(file.slice(0, 1024)));
+  if (!String.fromCharCode(...header).includes('%PDF-')) {
+    return { ...result, error: 'File is not a valid PDF' };
+  }
+
+  const buffer = await readAsArrayBuffer(file);
+  result.hash = await hashBuffer(buffer);
+  result.duplicateOf = knownHashes.get(result.hash) || null;
+
+  // pdf.js takes ownership of the buffer, so it is inspected last
+  return { ...result, ...(await inspectPdf(buffer)) };
+}
+
+/**
+ * Validates any supported file before upload, adding its `sourceType` to the
+ * result of the checks above. Only PDFs are opened and have a page count.
+ */
+export async function validateUpload(file, options = {}) {
+  const sourceType = detectSourceType(file);
+  const result = { sourceType, hash: null, pageCount: null, duplicateOf: null, error: null };
+
+  if (!sourceType) {
+    return { ...result, error: 'Unsupported file type' };
+  }
+  if (sourceType === 'pdf') {
+    return { ...result, ...(await validatePdfFile(file, options)) };
+  }
+
+  const sizeError = checkSize(file, options.maxSize ?? MAX_UPLOAD_SIZE);
+  if (sizeError) {
+    return { ...result, error: sizeError };
+  }
+
+  result.hash = await hashBuffer(await readAsArrayBuffer(file));
+  result.duplicateOf = options.knownHashes?.get(result.hash) || null;
+  return result;
+}
+
+// URLs are compared with the address each indexed web page was fetched from
+export const validateUrl = (url, documents) => ({
+  sourceType: 'url',
+  duplicateOf: documents.find(doc => doc.source_url === url) || null,
+  error: null
+});
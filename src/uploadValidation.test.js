@@ -0,0 +1,34 @@
+import { validatePdfFile, validateUpload, validateUrl, getKnownHashes, rememberUploadHash } from './uploadValidation';
+
+test('rejects files over the size limit', async () => {
+  const file = new File(['%PDF-1.7 0123456789'], 'big.pdf', { type: 'application/pdf' });
+  const result = await validatePdfFile(file, { maxSize: 10 });
+  expect(result.error).toMatch(/larger than/);
+});
+
+test('rejects files without a PDF header', async () => {
+  const file = new File(['<html></html>'], 'page.pdf', { type: 'application/pdf' });
+  const result = await validatePdfFile(file);
+  expect(result.error).toBe('File is not a valid PDF');
+});
+
+test('only reports remembered hashes whose document still exists', () => {
+  rememberUploadHash('abc', { pdf_id: 'p1', pdf_name: 'paper.pdf' });
+  rememberUploadHash('def', { pdf_id: 'gone', pdf_name: 'old.pdf' });
+
+  const known = getKnownHashes([{ pdf_id: 'p1', pdf_name: 'paper.pdf' }, { pdf_id: 'p2', pdf_name: 'other.pdf', sha256: 'ghi' }]);
+  expect([...known.keys()].sort()).toEqual(['abc', 'ghi']);
+  expect(known.get('abc')).toMatchObject({ pdf_id: 'p1', pdf_name: 'paper.pdf' });
+  expect(known.get('ghi').pdf_name).toBe('other.pdf');
+});
+
+test('detects the source type of non-PDF files and rejects unknown ones', async () => {
+  await expect(validateUpload(new File(['notes'], 'notes.exe'))).resolves.toMatchObject({ error: 'Unsupported file type' });
+  await expect(validateUpload(new File([''], 'design.md'))).resolves.toMatchObject({ sourceType: 'markdown', error: 'File is empty' });
+});
+
+test('reports the indexed page a URL duplicates', () => {
+  const page = { pdf_id: 'w1', pdf_name: 'Black holes - Wikipedia', source_url: 'https://en.wikipedia.org/wiki/Black_hole' };
+  expect(validateUrl(page.source_url, [page]).duplicateOf.pdf_name).toBe('Black holes - Wikipedia');
+  expect(validateUrl('https://example.com', [page]).duplicateOf).toBeNull();
+});
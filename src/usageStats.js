@@ -0,0 +1,114 @@
+// Token usage totals and estimated cost across conversations, plus the
+// per-conversation soft budget. Prices are USD per million tokens.
+
+import { estimateTokens } from './conversationContext';
+
+const USAGE_SETTINGS_KEY = 'pdf-chatbot:usage-settings';
+
+export const DEFAULT_USAGE_SETTINGS = {
+  model: 'gpt-4o-mini',
+  prices: {
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 }
+  },
+  // Soft budget per conversation in USD; null disables the warning
+  conversationBudget: null
+};
+
+export const loadUsageSettings = () => {
+  try {
+    return { ...DEFAULT_USAGE_SETTINGS, ...JSON.parse(localStorage.getItem(USAGE_SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_USAGE_SETTINGS;
+  }
+};
+
+export const saveUsageSettings = (settings) => localStorage.setItem(USAGE_SETTINGS_KEY, JSON.stringify(settings));
+
+// Backends report usage as `prompt`/`completion` or OpenAI's `*_tokens` names
+export const normalizeTokenUsage = (usage) => {
+  if (!usage) return null;
+  const prompt = usage.prompt ?? usage.prompt_tokens ?? null;
+  const completion = usage.completion ?? usage.completion_tokens ?? null;
+  const total = usage.total ?? usage.total_tokens ?? (prompt || 0) + (completion || 0);
+  return { prompt, completion, total };
+};
+
+/**
+ * Estimated cost in USD. When the split is unknown the whole total is
+ * priced as prompt tokens.
+ */
+export const estimateCost = (usage, model, settings) => {
+  const price = settings.prices[model] || settings.prices[settings.model];
+  if (!usage || !price) return 0;
+  const prompt = usage.prompt ?? (usage.completion == null ? usage.total : 0);
+  const completion = usage.completion ?? 0;
+  return (prompt * price.prompt + completion * price.completion) / 1e6;
+};
+
+const emptyTotals = () => ({ prompt: 0, completion: 0, total: 0, cost: 0, answers: 0 });
+
+const addUsage = (totals, usage, cost) => {
+  totals.prompt += usage.prompt || 0;
+  totals.completion += usage.completion || 0;
+  totals.total += usage.total;
+  totals.cost += cost;
+  totals.answers += 1;
+};
+
+/**
+ * Sums the usage of every answer, including regenerated and compared ones
+ * that are not on the active branch, since their tokens were spent too.
+ */
+export const aggregateUsage = (conversations, settings) => {
+  const total = emptyTotals();
+  const byMode = {};
+  const byDay = {};
+  const byConversation = [];
+
+  conversations.forEach(conversation => {
+    const conversationTotals = { id: conversation.id, title: conversation.title, ...emptyTotals() };
+
+    conversation.messages.forEach(message => {
+      const usage = normalizeTokenUsage(message.metadata?.tokenUsage);
+      if (message.role !== 'assistant' || !usage) return;
+
+      const cost = estimateCost(usage, message.metadata.model, settings);
+      const mode = message.metadata.mode || 'unknown';
+      // Local calendar day as YYYY-MM-DD
+      const day = new Date(message.timestamp || conversation.updatedAt).toLocaleDateString('en-CA');
+
+      addUsage(total, usage, cost);
+      addUsage(conversationTotals, usage, cost);
+      addUsage(byMode[mode] || (byMode[mode] = emptyTotals()), usage, cost);
+      addUsage(byDay[day] || (byDay[day] = emptyTotals()), usage, cost);
+    });
+
+    if (conversationTotals.answers > 0) byConversation.push(conversationTotals);
+  });
+
+  return {
+    total,
+    byMode,
+    byConversation: byConversation.sort((a, b) => b.cost - a.cost),
+    byDay: Object.entries(byDay).map(([date, totals]) => ({ date, ...totals })).sort((a, b) => a.date.localeCompare(b.date))
+  };
+};
+
+/**
+ * Cost of the conversation so far and a rough estimate for the next answer.
+ * Retrieved passages are part of the prompt but unknown before sending, so
+ * earlier answers' averages are used when they are larger than the question
+ * and its history.
+ */
+export const projectConversationCost = (messages, question, historyTokens, settings) => {
+  const { total } = aggregateUsage([{ id: 'current', messages, updatedAt: new Date().toISOString() }], settings);
+  const average = (tokens) => (total.answers > 0 ? Math.round(tokens / total.answers) : 0);
+  const prompt = Math.max(estimateTokens(question) + historyTokens, average(total.prompt));
+  const completion = average(total.completion) || prompt;
+  const next = estimateCost({ prompt, completion, total: prompt + completion }, settings.model, settings);
+  return { spent: total.cost, next, projected: total.cost + next };
+};
+
+export const formatCost = (cost) => (cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`);
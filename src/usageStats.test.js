@@ -0,0 +1,38 @@
+import { aggregateUsage, estimateCost, projectConversationCost, DEFAULT_USAGE_SETTINGS } from './usageStats';
+
+const answer = (mode, tokenUsage, timestamp = '2024-05-01T12:00:00') => ({
+  role: 'assistant',
+  timestamp,
+  metadata: { mode, tokenUsage }
+});
+
+const conversations = [
+  {
+    id: 'c1',
+    title: 'Stars',
+    messages: [
+      { role: 'user', content: 'Why?' },
+      answer('strict', { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }),
+      answer('expert', { prompt: 3000, completion: 1000, total: 4000 }, '2024-05-02T12:00:00')
+    ]
+  },
+  { id: 'c2', title: 'Empty', messages: [{ role: 'user', content: 'Hi' }] }
+];
+
+test('prices prompt and completion tokens per million', () => {
+  expect(estimateCost({ prompt: 1e6, completion: 1e6, total: 2e6 }, 'gpt-4o', DEFAULT_USAGE_SETTINGS)).toBe(12.5);
+});
+
+test('sums usage per conversation, mode and day', () => {
+  const usage = aggregateUsage(conversations, DEFAULT_USAGE_SETTINGS);
+  expect(usage.total).toMatchObject({ prompt: 4000, completion: 1200, total: 5200, answers: 2 });
+  expect(usage.byConversation.map(conversation => conversation.id)).toEqual(['c1']);
+  expect(Object.keys(usage.byMode)).toEqual(['strict', 'expert']);
+  expect(usage.byDay.map(day => day.date)).toEqual(['2024-05-01', '2024-05-02']);
+});
+
+test('projects the next answer from earlier averages', () => {
+  const { spent, next, projected } = projectConversationCost(conversations[0].messages, 'And then?', 0, DEFAULT_USAGE_SETTINGS);
+  expect(next).toBeCloseTo(estimateCost({ prompt: 2000, completion: 600 }, 'gpt-4o-mini', DEFAULT_USAGE_SETTINGS));
+  expect(projected).toBeCloseTo(spent + next);
+});
@@ -0,0 +1,8 @@
+import { useCallback, useRef } from 'react';
+
+// Function with a stable identity that always calls the latest `callback`
+export function useStableCallback(callback) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+  return useCallback((...args) => callbackRef.current(...args), []);
+}
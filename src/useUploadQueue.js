@@ -0,0 +1,175 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { isAbortError, wait } from './api';
+
+const CONCURRENCY_KEY = 'pdf-chatbot:upload-concurrency';
+const POLL_INTERVAL = 1500;
+
+// Server-side states a document passes through after the bytes have arrived
+export const PROCESSING_STAGES = {
+  queued: 'Waiting to process',
+  processing: 'Processing',
+  chunking: 'Chunking',
+  embedding: 'Embedding'
+};
+
+export const FINISHED_STATUSES = ['done', 'failed', 'cancelled', 'rejected', 'duplicate'];
+
+let nextUploadId = 0;
+
+const readConcurrency = () => {
+  const stored = Number(localStorage.getItem(CONCURRENCY_KEY));
+  return stored >= 1 && stored <= 6 ? stored : 2;
+};
+
+/**
+ * Upload queue with byte progress, server processing status, a configurable
+ * number of parallel uploads, and per-file cancel / retry.
+ * `validate(item)` may resolve with `{ sourceType, hash, pageCount, duplicateOf, error }`
+ * before a file or URL is queued; `onUploaded(data, item)` is called whenever a
+ * document becomes available.
+ */
+export function useUploadQueue(api, { validate, onUploaded } = {}) {
+  const [items, setItems] = useState([]);
+  const [concurrency, setConcurrencyState] = useState(readConcurrency);
+  const controllers = useRef({});
+  const onUploadedRef = useRef(onUploaded);
+  onUploadedRef.current = onUploaded;
+  const validateRef = useRef(validate);
+  validateRef.current = validate;
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Polls the backend until the document is chunked and embedded
+  const waitForProcessing = useCallback(async (id, pdfId, signal) => {
+    while (true) {
+      await wait(POLL_INTERVAL, signal);
+
+      let status;
+      try {
+        status = await api.getDocumentStatus(pdfId, { signal });
+      } catch (error) {
+        // Backends without a status endpoint finish processing before responding
+        if (error.status === 404) return;
+        throw error;
+      }
+
+      if (status.status === 'ready' || status.status === 'completed') return;
+      if (status.status === 'failed') {
+        throw new Error(status.error || 'Processing failed');
+      }
+      updateItem(id, { stage: status.status, stageProgress: status.progress ?? null });
+    }
+  }, [api, updateItem]);
+
+  const runUpload = useCallback(async (item) => {
+    const controller = new AbortController();
+    controllers.current[item.id] = controller;
+    updateItem(item.id, { status: 'uploading', loaded: 0, total: item.size, error: null, stage: null });
+
+    try {
+      const data = item.url
+        ? await api.uploadUrl(item.url, { signal: controller.signal })
+        : await api.uploadDocument(item.file, {
+          fields: { sha256: item.hash, source_type: item.sourceType },
+          signal: controller.signal,
+          onProgress: ({ loaded, total }) => updateItem(item.id, { loaded, total })
+        });
+
+      const pdfId = data?.pdf_id ?? data?.document?.pdf_id ?? null;
+      if (pdfId && PROCESSING_STAGES[data.status]) {
+        updateItem(item.id, { status: 'processing', stage: data.status, pdfId });
+        await waitForProcessing(item.id, pdfId, controller.signal);
+      }
+
+      updateItem(item.id, { status: 'done', pdfId, stage: null });
+      onUploadedRef.current?.(data, item);
+    } catch (error) {
+      updateItem(item.id, isAbortError(error)
+        ? { status: 'cancelled', stage: null }
+        : { status: 'failed', error: error.message, stage: null });
+    } finally {
+      delete controllers.current[item.id];
+    }
+  }, [api, updateItem, waitForProcessing]);
+
+  // Start queued files while fewer than `concurrency` uploads are running
+  useEffect(() => {
+    const active = items.filter(item => item.status === 'uploading').length;
+    items
+      .filter(item => item.status === 'queued' && !controllers.current[item.id])
+      .slice(0, Math.max(0, concurrency - active))
+      .forEach(runUpload);
+  }, [items, concurrency, runUpload]);
+
+  // Abort everything still in flight when the component goes away
+  useEffect(() => () => {
+    Object.values(controllers.current).forEach(controller => controller.abort());
+  }, []);
+
+  // Accepts File objects and `{ url }` entries for web pages
+  const enqueue = useCallback((sources) => {
+    const added = Array.from(sources).map(source => ({
+      id: `upload-${++nextUploadId}`,
+      file: source.url ? null : source,
+      url: source.url || null,
+      name: source.url || source.name,
+      size: source.url ? 0 : source.size,
+      status: validateRef.current ? 'checking' : 'queued',
+      loaded: 0,
+      total: source.url ? 0 : source.size,
+      sourceType: source.url ? 'url' : null,
+      hash: null,
+      pageCount: null,
+      duplicateOf: null,
+      error: null
+    }));
+    setItems(prev => [...prev, ...added]);
+
+    // Files that fail validation are rejected; duplicates wait for confirmation
+    added.filter(item => item.status === 'checking').forEach(async (item) => {
+      try {
+        const {
+          sourceType = item.sourceType, hash = null, pageCount = null, duplicateOf = null, error = null
+        } = await validateRef.current(item);
+        const status = error ? 'rejected' : duplicateOf ? 'duplicate' : 'queued';
+        setItems(prev => prev.map(current => (
+          current.id === item.id && current.status === 'checking'
+            ? { ...current, status, sourceType, hash, pageCount, duplicateOf, error }
+            : current
+        )));
+      } catch (error) {
+        updateItem(item.id, { status: 'rejected', error: `Could not check file: ${error.message}` });
+      }
+    });
+    return added;
+  }, [updateItem]);
+
+  const cancel = useCallback((id) => {
+    if (controllers.current[id]) {
+      controllers.current[id].abort();
+    } else {
+      updateItem(id, { status: 'cancelled' });
+    }
+  }, [updateItem]);
+
+  const retry = useCallback((id) => {
+    updateItem(id, { status: 'queued', loaded: 0, error: null });
+  }, [updateItem]);
+
+  const dismiss = useCallback((id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item => !FINISHED_STATUSES.includes(item.status)));
+  }, []);
+
+  const setConcurrency = useCallback((value) => {
+    localStorage.setItem(CONCURRENCY_KEY, String(value));
+    setConcurrencyState(value);
+  }, []);
+
+  return { items, enqueue, cancel, retry, dismiss, clearFinished, concurrency, setConcurrency };
+}
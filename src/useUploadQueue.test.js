@@ -0,0 +1,118 @@
+import { act, renderHook } from '@testing-library/react';
+import { ApiError } from './api';
+import { useUploadQueue } from './useUploadQueue';
+
+// An upload that settles when the test says so, or rejects once aborted
+const pendingUpload = () => {
+  const upload = {};
+  upload.promise = new Promise((resolve, reject) => {
+    upload.resolve = resolve;
+    upload.reject = reject;
+  });
+  return upload;
+};
+
+let api;
+let uploads;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  uploads = [];
+  api = {
+    uploadDocument: jest.fn((file, { signal }) => {
+      const upload = pendingUpload();
+      signal.addEventListener('abort', () => upload.reject(new ApiError('Request cancelled', { isAborted: true })));
+      uploads.push(upload);
+      return upload.promise;
+    }),
+    getDocumentStatus: jest.fn()
+  };
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  localStorage.clear();
+});
+
+const file = (name) => new File(['%PDF-1.4'], name, { type: 'application/pdf' });
+const statuses = (result) => result.current.items.map(item => item.status);
+
+test('uploads no more files at once than the concurrency setting', async () => {
+  const onUploaded = jest.fn();
+  const { result } = renderHook(() => useUploadQueue(api, { onUploaded }));
+
+  act(() => {
+    result.current.enqueue([file('a.pdf'), file('b.pdf'), file('c.pdf')]);
+  });
+  expect(api.uploadDocument).toHaveBeenCalledTimes(2);
+  expect(statuses(result)).toEqual(['uploading', 'uploading', 'queued']);
+
+  await act(async () => uploads[0].resolve({ pdf_id: 'a' }));
+  expect(statuses(result)).toEqual(['done', 'uploading', 'uploading']);
+  expect(api.uploadDocument).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'c.pdf' }), expect.anything());
+  expect(onUploaded).toHaveBeenCalledWith({ pdf_id: 'a' }, expect.objectContaining({ name: 'a.pdf' }));
+});
+
+test('cancels a running upload', async () => {
+  const { result } = renderHook(() => useUploadQueue(api));
+  let item;
+  act(() => {
+    [item] = result.current.enqueue([file('a.pdf')]);
+  });
+
+  await act(async () => result.current.cancel(item.id));
+  expect(statuses(result)).toEqual(['cancelled']);
+});
+
+test('retries a failed upload', async () => {
+  const onUploaded = jest.fn();
+  const { result } = renderHook(() => useUploadQueue(api, { onUploaded }));
+  let item;
+  act(() => {
+    [item] = result.current.enqueue([file('a.pdf')]);
+  });
+
+  await act(async () => uploads[0].reject(new ApiError('Server error', { status: 500 })));
+  expect(result.current.items[0]).toMatchObject({ status: 'failed', error: 'Server error' });
+
+  act(() => result.current.retry(item.id));
+  expect(api.uploadDocument).toHaveBeenCalledTimes(2);
+  await act(async () => uploads[1].resolve({ pdf_id: 'a' }));
+  expect(result.current.items[0]).toMatchObject({ status: 'done', pdfId: 'a', error: null });
+  expect(onUploaded).toHaveBeenCalledTimes(1);
+});
+
+test('polls the processing status until the document is ready', async () => {
+  api.getDocumentStatus
+    .mockResolvedValueOnce({ status: 'embedding', progress: 0.5 })
+    .mockResolvedValueOnce({ status: 'ready' });
+  const { result } = renderHook(() => useUploadQueue(api));
+  act(() => {
+    result.current.enqueue([file('a.pdf')]);
+  });
+
+  await act(async () => uploads[0].resolve({ pdf_id: 'a', status: 'processing' }));
+  expect(result.current.items[0]).toMatchObject({ status: 'processing', stage: 'processing' });
+
+  await act(async () => jest.advanceTimersByTime(1500));
+  expect(result.current.items[0]).toMatchObject({ status: 'processing', stage: 'embedding', stageProgress: 0.5 });
+
+  await act(async () => jest.advanceTimersByTime(1500));
+  expect(api.getDocumentStatus).toHaveBeenCalledTimes(2);
+  expect(result.current.items[0]).toMatchObject({ status: 'done', stage: null });
+});
+
+test('stops polling once unmounted', async () => {
+  api.getDocumentStatus.mockResolvedValue({ status: 'embedding' });
+  const { result, unmount } = renderHook(() => useUploadQueue(api));
+  act(() => {
+    result.current.enqueue([file('a.pdf')]);
+  });
+  await act(async () => uploads[0].resolve({ pdf_id: 'a', status: 'processing' }));
+  await act(async () => jest.advanceTimersByTime(1500));
+  expect(api.getDocumentStatus).toHaveBeenCalledTimes(1);
+
+  unmount();
+  await act(async () => jest.advanceTimersByTime(15000));
+  expect(api.getDocumentStatus).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,146 @@
+// Entry point of the embeddable widget (npm run build:widget). The chatbot is
+// rendered into a shadow root so its Tailwind styles and the host page's
+// styles don't affect each other.
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './index.css';
+import PDFChatbot from './App';
+
+const EVENT_PREFIX = 'pdf-chatbot:';
+
+const DEFAULT_THEME = {
+  width: '100%',
+  height: '640px',
+  fontFamily: 'ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji"',
+  borderRadius: '0'
+};
+
+// Style elements collected by the widget build instead of being added to the
+// page (see scripts/build-widget.js)
+const collectedStyles = () => window.__pdfChatbotStyles || [];
+
+let fontsInstalled = false;
+
+// The widget mounted in each element, unmounted when another takes its place
+const mountedWidgets = new WeakMap();
+
+// Browsers ignore @font-face inside shadow roots, so KaTeX's fonts are
+// declared on the page itself, once
+const installFonts = (styles) => {
+  if (fontsInstalled) return;
+  fontsInstalled = true;
+
+  const fontFaces = styles.flatMap(style => style.textContent.match(/@font-face\s*{[^}]*}/g) || []);
+  if (fontFaces.length === 0) return;
+  const style = document.createElement('style');
+  style.textContent = fontFaces.join('\n');
+  document.head.appendChild(style);
+};
+
+const hostStyles = ({ width, height, fontFamily, borderRadius }) => `
+  :host {
+    all: initial;
+    display: block;
+    width: ${width};
+    height: ${height};
+  }
+
+  .pdf-chatbot-root {
+    height: 100%;
+    overflow: hidden;
+    border-radius: ${borderRadius};
+    font-family: ${fontFamily};
+    line-height: 1.5;
+    color-scheme: dark;
+  }
+`;
+
+// Store events as the host page sees them: questions and answers are both
+// `message` events
+const toWidgetEvent = (type, detail) => {
+  if (type === 'question') {
+    return ['message', { role: 'user', content: detail.question, mode: detail.mode, documentIds: detail.documentIds }];
+  }
+  if (type === 'answer') {
+    return ['message', {
+      role: 'assistant',
+      id: detail.messageId,
+      content: detail.answer,
+      question: detail.question,
+      metadata: detail.metadata
+    }];
+  }
+  return [type, detail];
+};
+
+/**
+ * Renders the chatbot into `element`, in place of a widget mounted there
+ * before.
+ *
+ * Options:
+ * - `apiBase`: backend URL; defaults to the page's origin
+ * - `defaultMode`: knowledge mode to start in ('strict', 'augmented', 'expert')
+ * - `documentIds`: limits questions to these documents
+ * - `theme`: `{ width, height, fontFamily, borderRadius }` of the widget
+ * - `onEvent(type, detail)`: called for every event
+ *
+ * Events are also dispatched on `element` as `pdf-chatbot:<type>`
+ * CustomEvents: `message` (a question or a finished answer), `upload`,
+ * `error`, `documentsChange`, `documentOpen`, `modeChange` and
+ * `conversationChange`. Returns `{ on(type, listener), unmount() }`, where
+ * `on` returns a function that removes the listener again.
+ */
+export function mount(element, { apiBase, defaultMode, documentIds, theme = {}, onEvent } = {}) {
+  if (!(element instanceof HTMLElement)) {
+    throw new Error('PDFChatbot.mount needs an element to render into');
+  }
+
+  mountedWidgets.get(element)?.unmount();
+
+  const styles = collectedStyles();
+  installFonts(styles);
+
+  const shadowRoot = element.shadowRoot || element.attachShadow({ mode: 'open' });
+  const hostStyle = document.createElement('style');
+  hostStyle.textContent = hostStyles({ ...DEFAULT_THEME, ...theme });
+  const container = document.createElement('div');
+  container.className = 'pdf-chatbot-root';
+  shadowRoot.replaceChildren(...styles.map(style => style.cloneNode(true)), hostStyle, container);
+
+  const handleEvent = (type, detail) => {
+    const [name, payload] = toWidgetEvent(type, detail);
+    onEvent?.(name, payload);
+    element.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, { detail: payload }));
+  };
+
+  const root = ReactDOM.createRoot(container);
+  root.render(
+    <React.StrictMode>
+      <PDFChatbot
+        apiBase={apiBase}
+        defaultMode={defaultMode}
+        documentIds={documentIds}
+        onEvent={handleEvent}
+        className="h-full"
+        contained
+      />
+    </React.StrictMode>
+  );
+
+  const widget = {
+    on(type, listener) {
+      const handler = (event) => listener(event.detail);
+      element.addEventListener(EVENT_PREFIX + type, handler);
+      return () => element.removeEventListener(EVENT_PREFIX + type, handler);
+    },
+    unmount() {
+      if (mountedWidgets.get(element) !== widget) return;
+      mountedWidgets.delete(element);
+      root.unmount();
+      shadowRoot.replaceChildren();
+    }
+  };
+  mountedWidgets.set(element, widget);
+  return widget;
+}
@@ -0,0 +1,89 @@
+import { act } from 'react';
+import { mount } from './widget';
+
+// The app itself is covered elsewhere; this stands in for it and keeps the
+// props of each render
+const mockRenders = [];
+jest.mock('./App', () => (props) => {
+  mockRenders.push(props);
+  return <div className="chatbot">Chatbot</div>;
+});
+
+const lastProps = () => mockRenders[mockRenders.length - 1];
+
+let element;
+
+beforeEach(() => {
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+  mockRenders.length = 0;
+  element = document.createElement('div');
+  document.body.appendChild(element);
+});
+
+afterEach(() => {
+  element.remove();
+});
+
+test('renders the chatbot into a shadow root of the element', () => {
+  let widget;
+  act(() => {
+    widget = mount(element, { apiBase: 'https://api.example.com', theme: { height: '500px' } });
+  });
+
+  expect(element.childNodes).toHaveLength(0);
+  expect(element.shadowRoot.querySelector('.pdf-chatbot-root .chatbot')).not.toBeNull();
+  expect(element.shadowRoot.querySelector('style').textContent).toContain('height: 500px');
+  expect(lastProps()).toMatchObject({ apiBase: 'https://api.example.com', contained: true });
+
+  act(() => widget.unmount());
+  expect(element.shadowRoot.childNodes).toHaveLength(0);
+});
+
+test('forwards store events to onEvent and as DOM events on the element', () => {
+  const onEvent = jest.fn();
+  const messages = [];
+  let widget;
+  act(() => {
+    widget = mount(element, { onEvent });
+  });
+  const removeListener = widget.on('message', message => messages.push(message));
+  const errors = [];
+  element.addEventListener('pdf-chatbot:error', event => errors.push(event.detail));
+
+  const { onEvent: emit } = lastProps();
+  emit('question', { question: 'What is a black hole?', mode: 'strict', documentIds: null });
+  emit('answer', { messageId: 'a1', question: 'What is a black hole?', answer: 'A region of spacetime', metadata: {} });
+  emit('upload', { document: { pdf_id: 'p1' }, name: 'black-holes.pdf' });
+  emit('error', { message: 'Upload failed' });
+
+  expect(messages).toEqual([
+    { role: 'user', content: 'What is a black hole?', mode: 'strict', documentIds: null },
+    { role: 'assistant', id: 'a1', content: 'A region of spacetime', question: 'What is a black hole?', metadata: {} }
+  ]);
+  expect(onEvent).toHaveBeenCalledWith('upload', { document: { pdf_id: 'p1' }, name: 'black-holes.pdf' });
+  expect(errors).toEqual([{ message: 'Upload failed' }]);
+
+  removeListener();
+  emit('question', { question: 'Again?', mode: 'strict', documentIds: null });
+  expect(messages).toHaveLength(2);
+  expect(onEvent).toHaveBeenCalledTimes(5);
+});
+
+test('replaces a widget mounted on the same element before', () => {
+  let first;
+  act(() => {
+    first = mount(element, { defaultMode: 'strict' });
+  });
+  const firstContainer = element.shadowRoot.querySelector('.pdf-chatbot-root');
+
+  act(() => {
+    mount(element, { defaultMode: 'expert' });
+  });
+  expect(firstContainer.childNodes).toHaveLength(0);
+  expect(element.shadowRoot.querySelectorAll('.chatbot')).toHaveLength(1);
+  expect(lastProps().defaultMode).toBe('expert');
+
+  // The replaced widget's handle no longer affects the new one
+  act(() => first.unmount());
+  expect(element.shadowRoot.querySelectorAll('.chatbot')).toHaveLength(1);
+});